@@ -2,6 +2,16 @@
 let dashboard;
 let worksheets = [];
 window.worksheetColumns = new Map(); // Store columns for each worksheet (global for export)
+let activeExport = null; // Running export job ({ cancel }) while the worker is busy
+let exportCancelled = false;
+let settingsSaveTimer = null; // Debounces settings.saveAsync while the user edits columns
+let extensionConfig = null; // Author configuration from the configure dialog (see extension-config.js)
+let previewTimer = null; // Debounces preview updates while the user edits columns
+let previewRequestId = 0; // Latest preview run; older runs drop their results
+const previewDataCache = new Map(); // Worksheet name -> { dataTable, fetchedAt } used by the preview
+const logicalTablesCache = new Map(); // Worksheet name -> [{ id, caption }] for the underlying data mode
+let steppedExportInProgress = false; // Set while a burst or scenario export changes filters/parameters itself
+let rowEstimateQueue = Promise.resolve(); // Row counts for the worksheet list, fetched one worksheet at a time
 
 // Helper function to get display name from field name
 function getDisplayName(fieldName) {
@@ -20,6 +30,7 @@ function getDisplayName(fieldName) {
 // Wait for DOM to load
 document.addEventListener('DOMContentLoaded', () => {
     injectExportOptionToggles();
+    updateFormatOptions();
     // Force dashboard filters checkbox to start unchecked if present
     setDefaultOptionStates();
     // Check if Tableau API is available
@@ -44,6 +55,7 @@ function setDefaultOptionStates() {
 
     // Re-assert after render in case the host sets defaults late
     setTimeout(() => {
+        if (extensionConfig) return; // author-configured defaults already applied
         const cb = document.getElementById('includeDashboardFilters');
         if (cb) {
             cb.checked = false;
@@ -94,6 +106,8 @@ function injectExportOptionToggles() {
             cb.type = 'checkbox';
             cb.id = cfg.id;
             cb.style.marginTop = '2px';
+            // The preview reflects these options too
+            cb.onchange = () => schedulePreviewUpdate();
             const textWrap = document.createElement('div');
             const main = document.createElement('div');
             main.textContent = cfg.label;
@@ -117,11 +131,7 @@ function injectExportOptionToggles() {
 // Initialize the extension
 function initializeExtension() {
     const configureOptions = {
-        configure: () => {
-            showStatus('Configuration dialog opened', 'info');
-            // Simple alert for now
-            alert('ZH Export Crosstab Extension\n\nNo configuration needed!\n\nJust select worksheets and click Export.');
-        }
+        configure: () => openConfigDialog()
     };
     
     tableau.extensions.initializeAsync(configureOptions).then(() => {
@@ -129,6 +139,14 @@ function initializeExtension() {
         dashboard = tableau.extensions.dashboardContent.dashboard;
         console.log('Dashboard loaded:', dashboard.name);
         
+        // Apply the author's configuration and follow later changes to it
+        applyExtensionConfig();
+        renderPresetOptions();
+        tableau.extensions.settings.addEventListener(tableau.TableauEventType.SettingsChanged, () => {
+            reloadIfConfigChanged();
+            renderPresetOptions(document.getElementById('presetSelect')?.value);
+        });
+        
         // Listen for filter changes on all worksheets
         setupFilterChangeListeners();
         
@@ -150,38 +168,62 @@ function setupFilterChangeListeners() {
         allWorksheets.forEach(worksheet => {
             // Listen for filter changes on each worksheet
             worksheet.addEventListener(tableau.TableauEventType.FilterChanged, (event) => {
+                // Burst exports change filters themselves and clear the caches when they are done
+                if (steppedExportInProgress) return;
                 console.log('Filter changed on worksheet:', worksheet.name);
                 // Clear cached data for this worksheet to force fresh fetch on export
                 if (window.worksheetColumns.has(worksheet.name)) {
                     console.log('Clearing cached data for:', worksheet.name);
                     window.worksheetColumns.delete(worksheet.name);
                 }
+                previewDataCache.delete(worksheet.name);
+                schedulePreviewUpdate();
+                refreshRowEstimates([worksheet]);
                 showStatus('Filter changed - fresh data will be used on export (column selections preserved)', 'info');
                 // Don't auto-refresh UI to preserve user's column selections
             });
             
             // Listen for parameter changes as well
             worksheet.addEventListener(tableau.TableauEventType.ParameterChanged, (event) => {
+                if (steppedExportInProgress) return;
                 console.log('Parameter changed on worksheet:', worksheet.name);
                 // Clear cached data for this worksheet to force fresh fetch on export
                 if (window.worksheetColumns.has(worksheet.name)) {
                     console.log('Clearing cached data for:', worksheet.name);
                     window.worksheetColumns.delete(worksheet.name);
                 }
+                previewDataCache.delete(worksheet.name);
+                schedulePreviewUpdate();
+                refreshRowEstimates([worksheet]);
                 showStatus('Parameter changed - fresh data will be used on export (column selections preserved)', 'info');
                 // Don't auto-refresh UI to preserve user's column selections
             });
+
+            // Keep the selected-mark count current; the preview follows the selection when exporting selected marks only
+            worksheet.addEventListener(tableau.TableauEventType.MarkSelectionChanged, () => {
+                console.log('Mark selection changed on worksheet:', worksheet.name);
+                updateSelectedMarksBadge(worksheet);
+                if (getDataOptions().selectedMarksOnly) {
+                    previewDataCache.delete(worksheet.name);
+                    schedulePreviewUpdate();
+                }
+            });
         });
         
         // Also listen for dashboard-level parameter changes
         try {
             dashboard.addEventListener(tableau.TableauEventType.ParameterChanged, (event) => {
+                // Scenario exports change parameters themselves and clear the caches when they are done
+                if (steppedExportInProgress) return;
                 console.log('Dashboard parameter changed');
                 // Clear all cached data
                 window.worksheetColumns.forEach((value, key) => {
                     console.log('Clearing cached data for:', key);
                 });
                 window.worksheetColumns.clear();
+                previewDataCache.clear();
+                schedulePreviewUpdate();
+                refreshRowEstimates(worksheets);
                 showStatus('⚠️ Parameter changed - Click 🔄 Refresh button if column structure changed', 'warning');
                 // Don't auto-refresh to preserve user's column selections
             });
@@ -197,7 +239,7 @@ function setupFilterChangeListeners() {
 async function loadWorksheets() {
     try {
         console.log('Loading worksheets...');
-        worksheets = dashboard.worksheets;
+        worksheets = dashboard.worksheets.filter(ws => isWorksheetExportable(ws.name));
         console.log('Found worksheets:', worksheets.length);
         
         const worksheetList = document.getElementById('worksheetList');
@@ -209,16 +251,17 @@ async function loadWorksheets() {
 
         worksheetList.innerHTML = '<p style="color: #666; font-size: 13px;">Loading worksheet information...</p>';
         
-        // Fetch column counts for all worksheets
+        // Fetch column counts for all worksheets (and row counts, which summary data gives with every read)
         const worksheetData = [];
         for (const worksheet of worksheets) {
             try {
-                const dataTable = await worksheet.getSummaryDataAsync({ maxRows: 1 });
+                const dataTable = await fetchWorksheetData(worksheet, { maxRows: 1 });
                 // Include all columns (including AGG columns like running sums)
                 const allColumns = dataTable.columns;
                 worksheetData.push({
                     worksheet: worksheet,
-                    columnCount: allColumns.length
+                    columnCount: allColumns.length,
+                    rowCount: getDataSourceMode() === 'summary' ? dataTable.data.length : null
                 });
                 console.log(`Worksheet "${worksheet.name}" has ${allColumns.length} columns`);
             } catch (error) {
@@ -231,6 +274,11 @@ async function loadWorksheets() {
         }
         
         worksheetList.innerHTML = '';
+
+        // Restore the user's worksheet (and workbook tab) order; worksheets not in it keep dashboard order
+        const savedOrder = loadWorksheetOrder();
+        const orderOf = (name) => savedOrder.includes(name) ? savedOrder.indexOf(name) : savedOrder.length;
+        worksheetData.sort((a, b) => orderOf(a.worksheet.name) - orderOf(b.worksheet.name));
         
         worksheetData.forEach((data, index) => {
             const worksheet = data.worksheet;
@@ -270,15 +318,43 @@ async function loadWorksheets() {
                 countBadge.style.border = '1px solid #ffc107';
             }
             
+            // Live count of the marks selected in the worksheet (hidden while nothing is selected)
+            const selectionBadge = document.createElement('span');
+            selectionBadge.className = 'selected-marks-badge';
+            selectionBadge.dataset.worksheet = worksheet.name;
+            
             label.appendChild(nameSpan);
             label.appendChild(countBadge);
+            label.appendChild(selectionBadge);
+            
+            // Move buttons set the order of the sheets in the export
+            const moveUp = document.createElement('button');
+            moveUp.className = 'worksheet-move-btn';
+            moveUp.textContent = '▲';
+            moveUp.title = 'Move up (earlier tab in the export)';
+            moveUp.onclick = () => moveWorksheet(div, -1);
+
+            const moveDown = document.createElement('button');
+            moveDown.className = 'worksheet-move-btn';
+            moveDown.textContent = '▼';
+            moveDown.title = 'Move down (later tab in the export)';
+            moveDown.onclick = () => moveWorksheet(div, 1);
             
             div.appendChild(checkbox);
             div.appendChild(label);
+            div.appendChild(moveUp);
+            div.appendChild(moveDown);
             worksheetList.appendChild(div);
         });
         
         console.log('Worksheets loaded successfully');
+        worksheets.forEach(worksheet => updateSelectedMarksBadge(worksheet));
+        // Row counts warn about the Excel row limit before anything is exported
+        worksheetData.forEach(data => {
+            if (data.rowCount !== null) updateRowEstimateBadge(data.worksheet.name, data.rowCount);
+        });
+        const uncounted = worksheetData.filter(data => data.rowCount === null && data.columnCount > 0).map(data => data.worksheet);
+        if (uncounted.length > 0) refreshRowEstimates(uncounted);
         updateExportButton();
         // Load columns for first worksheet by default
         handleWorksheetSelection();
@@ -289,6 +365,108 @@ async function loadWorksheets() {
     }
 }
 
+// Show how many marks are selected in a worksheet on its entry in the worksheet list
+async function updateSelectedMarksBadge(worksheet) {
+    const badge = Array.from(document.querySelectorAll('.selected-marks-badge'))
+        .find(el => el.dataset.worksheet === worksheet.name);
+    if (!badge) return;
+    try {
+        const count = marksToDataTable(await worksheet.getSelectedMarksAsync()).data.length;
+        badge.textContent = `${count} selected`;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.log(`Could not get selected marks for ${worksheet.name}:`, error.message);
+        badge.style.display = 'none';
+    }
+}
+
+// Flatten a marks collection (one data table per pane) into one data table, aligning columns by field name
+function marksToDataTable(marks) {
+    const tables = (marks && marks.data) || [];
+    if (tables.length === 1) return tables[0];
+
+    const columns = [];
+    tables.forEach(table => table.columns.forEach(col => {
+        if (!columns.some(existing => existing.fieldName === col.fieldName)) columns.push(col);
+    }));
+    const data = [];
+    tables.forEach(table => {
+        const positions = columns.map(col => table.columns.findIndex(tableCol => tableCol.fieldName === col.fieldName));
+        table.data.forEach(row => data.push(positions.map(p => p >= 0 ? row[p] : { value: null, formattedValue: '' })));
+    });
+    return { columns, data };
+}
+
+// Open the author configuration dialog (Configure menu on the extension zone)
+function openConfigDialog() {
+    const dialogUrl = new URL('config.html', window.location.href).href;
+    showStatus('Configuration dialog opened', 'info');
+
+    tableau.extensions.ui.displayDialogAsync(dialogUrl, '', { height: 640, width: 560 }).then((payload) => {
+        if (payload === 'saved') {
+            reloadIfConfigChanged();
+            showStatus('✓ Configuration saved', 'success');
+        } else {
+            showStatus('Configuration unchanged', 'info');
+        }
+    }).catch((error) => {
+        // Closing the dialog with its X button rejects with DialogClosedByUser
+        if (error.errorCode === tableau.ErrorCodes.DialogClosedByUser) {
+            showStatus('Configuration unchanged', 'info');
+        } else {
+            console.error('Error opening configuration dialog:', error);
+            showStatus('Error opening configuration: ' + error.message, 'error');
+        }
+    });
+}
+
+// Apply branding and default options from the author configuration
+function applyExtensionConfig() {
+    extensionConfig = readExtensionConfig();
+    const { branding, defaults } = extensionConfig;
+
+    const title = document.getElementById('headerTitle');
+    const subtitle = document.getElementById('headerSubtitle');
+    if (title) title.textContent = branding.title || title.dataset.defaultText;
+    if (subtitle) subtitle.textContent = branding.subtitle || subtitle.dataset.defaultText;
+
+    const formatRadio = document.querySelector(`input[name="exportFormat"][value="${defaults.format}"]`);
+    if (formatRadio) formatRadio.checked = true;
+    updateFormatOptions();
+
+    const patternInput = document.getElementById('filenamePattern');
+    if (patternInput) patternInput.value = extensionConfig.filenamePattern;
+
+    [
+        ['includeDuplicateRows', defaults.includeDuplicateRows],
+        ['includeDashboardFilters', defaults.includeDashboardFilters],
+        ['includeNullsAcrossDimensions', defaults.includeNullsAcrossDimensions]
+    ].forEach(([id, checked]) => {
+        const cb = document.getElementById(id);
+        if (cb) cb.checked = !!checked;
+    });
+}
+
+// Reapply the author configuration and reload worksheets, but only if it actually changed.
+// Column edits also save settings, and those must not reset the panel.
+function reloadIfConfigChanged() {
+    if (JSON.stringify(readExtensionConfig()) === JSON.stringify(extensionConfig)) return;
+    console.log('Extension configuration changed - reapplying');
+    applyExtensionConfig();
+    loadWorksheets();
+}
+
+// Whether the author allows a worksheet to be exported
+function isWorksheetExportable(worksheetName) {
+    const allowed = extensionConfig?.exportableWorksheets;
+    return !allowed || allowed.includes(worksheetName);
+}
+
+// Whether the author locked a column so viewers always export it unchanged
+function isColumnLocked(worksheetName, fieldName) {
+    return !!extensionConfig?.lockedColumns?.[worksheetName]?.includes(fieldName);
+}
+
 // Select all worksheets
 function selectAll() {
     const checkboxes = document.querySelectorAll('.worksheet-item input[type="checkbox"]');
@@ -319,14 +497,21 @@ async function handleWorksheetSelection() {
     
     const columnContainer = document.getElementById('columnSelectionContainer');
     const columnList = document.getElementById('columnList');
+    // A single-worksheet render attaches its save handler to the list itself; drop it so edits in the
+    // tabs below (each with its own handler) don't also bubble up and get saved under that worksheet
+    columnList.onchange = null;
+    
+    const previewCard = document.getElementById('previewCard');
     
     if (selectedWorksheets.length === 0) {
         columnContainer.style.display = 'none';
+        if (previewCard) previewCard.style.display = 'none';
         return;
     }
     
     // Show column selection
     columnContainer.style.display = 'block';
+    if (previewCard) previewCard.style.display = 'block';
     columnList.innerHTML = '<p style="color: #666; font-size: 13px;">Loading columns...</p>';
     
     try {
@@ -351,7 +536,7 @@ async function handleWorksheetSelection() {
                 
                 // Check if we already have columns cached
                 if (!window.worksheetColumns.has(worksheetName)) {
-                    const dataTable = await worksheet.getSummaryDataAsync({ maxRows: 1 });
+                    const dataTable = await fetchWorksheetData(worksheet, { maxRows: 1 });
                     // Include all columns (including AGG columns like running sums)
                     const allColumns = dataTable.columns;
                     window.worksheetColumns.set(worksheetName, allColumns);
@@ -369,6 +554,7 @@ async function handleWorksheetSelection() {
                     tabButton.classList.add('active');
                     document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
                     document.getElementById('tab-' + worksheetName).classList.add('active');
+                    schedulePreviewUpdate();
                 };
                 tabsContainer.appendChild(tabButton);
             }
@@ -392,7 +578,8 @@ async function handleWorksheetSelection() {
                 selectAllBtn.style.cssText = 'flex: 1; font-size: 13px; padding: 6px 12px;';
                 selectAllBtn.onclick = (e) => {
                     e.preventDefault();
-                    tabContent.querySelectorAll('.column-item input[type="checkbox"]').forEach(cb => cb.checked = true);
+                    tabContent.querySelectorAll('.column-item input[type="checkbox"]:not(:disabled):not(.column-subtotal-toggle)').forEach(cb => cb.checked = true);
+                    saveWorksheetConfig(tabContent, worksheetName);
                 };
                 
                 const deselectAllBtn = document.createElement('button');
@@ -401,159 +588,16 @@ async function handleWorksheetSelection() {
                 deselectAllBtn.style.cssText = 'flex: 1; font-size: 13px; padding: 6px 12px;';
                 deselectAllBtn.onclick = (e) => {
                     e.preventDefault();
-                    tabContent.querySelectorAll('.column-item input[type="checkbox"]').forEach(cb => cb.checked = false);
+                    tabContent.querySelectorAll('.column-item input[type="checkbox"]:not(:disabled):not(.column-subtotal-toggle)').forEach(cb => cb.checked = false);
+                    saveWorksheetConfig(tabContent, worksheetName);
                 };
                 
                 buttonGroup.appendChild(selectAllBtn);
                 buttonGroup.appendChild(deselectAllBtn);
                 tabContent.appendChild(buttonGroup);
 
-                // Sort controls for this worksheet
-                const sortContainer = document.createElement('div');
-                sortContainer.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-bottom: 10px;';
-
-                const sortLabel = document.createElement('span');
-                sortLabel.textContent = 'Sort by:';
-                sortLabel.style.fontWeight = '600';
-                sortLabel.style.fontSize = '13px';
-
-                const sortSelect = document.createElement('select');
-                sortSelect.className = 'sort-column-selector';
-                sortSelect.style.cssText = 'flex: 1; padding: 6px; font-size: 13px;';
-                const defaultOpt = document.createElement('option');
-                defaultOpt.value = '';
-                defaultOpt.textContent = 'No sort';
-                sortSelect.appendChild(defaultOpt);
-
-                columns.forEach(col => {
-                    const opt = document.createElement('option');
-                    opt.value = col.fieldName;
-                    opt.textContent = getDisplayName(col.fieldName);
-                    sortSelect.appendChild(opt);
-                });
-
-                const sortDir = document.createElement('select');
-                sortDir.className = 'sort-direction-selector';
-                sortDir.style.cssText = 'width: 110px; padding: 6px; font-size: 13px;';
-                const ascOpt = document.createElement('option');
-                ascOpt.value = 'asc';
-                ascOpt.textContent = 'Ascending';
-                sortDir.appendChild(ascOpt);
-                const descOpt = document.createElement('option');
-                descOpt.value = 'desc';
-                descOpt.textContent = 'Descending';
-                sortDir.appendChild(descOpt);
-
-                sortContainer.appendChild(sortLabel);
-                sortContainer.appendChild(sortSelect);
-                sortContainer.appendChild(sortDir);
-                tabContent.appendChild(sortContainer);
-
-                // Add columns for this worksheet
-                columns.forEach((column, index) => {
-                    const div = document.createElement('div');
-                    div.className = 'column-item';
-                    div.dataset.originalName = column.fieldName;
-                    div.dataset.worksheet = worksheetName;
-
-                    // Order number input (editable)
-                    const orderInput = document.createElement('input');
-                    orderInput.type = 'number';
-                    orderInput.className = 'column-order-input';
-                    orderInput.value = index + 1;
-                    orderInput.min = 1;
-                    orderInput.title = 'Change number to reorder';
-                    orderInput.style.width = '45px';
-                    orderInput.style.textAlign = 'center';
-                    
-                    // Reorder on change
-                    orderInput.addEventListener('change', (e) => {
-                        reorderColumns(tabContent, parseInt(e.target.value), div);
-                    });
-
-                    const checkbox = document.createElement('input');
-                    checkbox.type = 'checkbox';
-                    checkbox.id = `column_${worksheetName}_${index}`;
-                    checkbox.value = column.fieldName;
-                    checkbox.checked = true;
-                    checkbox.dataset.index = index;
-                    checkbox.dataset.worksheet = worksheetName;
-
-                    // Rename input instead of label
-                    const renameInput = document.createElement('input');
-                    renameInput.type = 'text';
-                    renameInput.className = 'column-rename-input';
-                    renameInput.value = getDisplayName(column.fieldName); // Use display name by default
-                    renameInput.title = 'Click to rename for export';
-                    renameInput.dataset.originalName = column.fieldName;
-
-                    // Determine actual data type and format options
-                    const dataType = column.dataType.toLowerCase();
-                    let displayType = '';
-                    let exportType = '';
-                    
-                    if (dataType.includes('date')) {
-                        displayType = 'Date';
-                        exportType = 'date';
-                    } else if (dataType.includes('int')) {
-                        displayType = 'Integer';
-                        exportType = 'number';
-                    } else if (dataType.includes('float') || dataType.includes('real')) {
-                        displayType = 'Decimal';
-                        exportType = 'number';
-                    } else if (dataType.includes('bool')) {
-                        displayType = 'Boolean';
-                        exportType = 'text';
-                    } else {
-                        displayType = 'Text';
-                        exportType = 'text';
-                    }
-
-                    // Add badge for column type showing actual data type
-                    const badge = document.createElement('span');
-                    if (exportType === 'number') {
-                        badge.className = 'column-badge badge-measure';
-                    } else if (exportType === 'date') {
-                        badge.className = 'column-badge badge-date';
-                    } else {
-                        badge.className = 'column-badge badge-dimension';
-                    }
-                    badge.textContent = displayType;
-                    badge.title = `Source type: ${column.dataType}`;
-
-                    // Add data type selector dropdown
-                    const typeSelector = document.createElement('select');
-                    typeSelector.className = 'column-type-selector';
-                    typeSelector.title = 'Select export data type';
-                    typeSelector.dataset.originalType = exportType;
-                    
-                    // Add options based on source type
-                    const options = [
-                        { value: 'text', label: 'Text' },
-                        { value: 'number', label: 'Number' },
-                        { value: 'date', label: 'Date (Mon-YYYY)' },
-                        { value: 'date-full', label: 'Date (Full)' }
-                    ];
-                    
-                    options.forEach(opt => {
-                        const option = document.createElement('option');
-                        option.value = opt.value;
-                        option.textContent = opt.label;
-                        if (opt.value === exportType) {
-                            option.selected = true;
-                        }
-                        typeSelector.appendChild(option);
-                    });
-
-                    // No drag events needed - using sequence numbers instead
-
-                    div.appendChild(orderInput);
-                    div.appendChild(checkbox);
-                    div.appendChild(renameInput);
-                    div.appendChild(badge);
-                    div.appendChild(typeSelector);
-                    tabContent.appendChild(div);
-                });
+                // Sort, layout and column controls for this worksheet
+                buildColumnConfigurator(tabContent, columns, worksheetName);
 
                 columnList.appendChild(tabContent);
             }
@@ -566,7 +610,7 @@ async function handleWorksheetSelection() {
             
             // Check if we already have columns cached
             if (!window.worksheetColumns.has(worksheetName)) {
-                const dataTable = await worksheet.getSummaryDataAsync({ maxRows: 1 });
+                const dataTable = await fetchWorksheetData(worksheet, { maxRows: 1 });
                 // Include all columns (including AGG columns like running sums)
                 const allColumns = dataTable.columns;
                 window.worksheetColumns.set(worksheetName, allColumns);
@@ -575,6 +619,10 @@ async function handleWorksheetSelection() {
             const columns = window.worksheetColumns.get(worksheetName);
             displayColumnSelection(columns, worksheetName);
         }
+
+        // Join keys depend on which worksheets are selected
+        updateSheetModeOptions();
+        schedulePreviewUpdate();
         
     } catch (error) {
         console.error('Error loading columns:', error);
@@ -610,7 +658,8 @@ function displayColumnSelection(columns, worksheetName) {
     selectAllBtn.style.cssText = 'flex: 1; font-size: 13px; padding: 6px 12px;';
     selectAllBtn.onclick = (e) => {
         e.preventDefault();
-        columnList.querySelectorAll('.column-item input[type="checkbox"]').forEach(cb => cb.checked = true);
+        columnList.querySelectorAll('.column-item input[type="checkbox"]:not(:disabled):not(.column-subtotal-toggle)').forEach(cb => cb.checked = true);
+        saveWorksheetConfig(columnList, worksheetName);
     };
     
     const deselectAllBtn = document.createElement('button');
@@ -619,22 +668,207 @@ function displayColumnSelection(columns, worksheetName) {
     deselectAllBtn.style.cssText = 'flex: 1; font-size: 13px; padding: 6px 12px;';
     deselectAllBtn.onclick = (e) => {
         e.preventDefault();
-        columnList.querySelectorAll('.column-item input[type="checkbox"]').forEach(cb => cb.checked = false);
+        columnList.querySelectorAll('.column-item input[type="checkbox"]:not(:disabled):not(.column-subtotal-toggle)').forEach(cb => cb.checked = false);
+        saveWorksheetConfig(columnList, worksheetName);
     };
     
     buttonGroup.appendChild(selectAllBtn);
     buttonGroup.appendChild(deselectAllBtn);
     columnList.appendChild(buttonGroup);
 
-    // Sort controls
+    // Sort, layout and column controls
+    buildColumnConfigurator(columnList, columns, worksheetName);
+}
+
+// Map a Tableau column data type to the badge label and default export type
+function getColumnTypeInfo(column) {
+    const dataType = column.dataType.toLowerCase();
+    
+    if (dataType.includes('date')) {
+        return { displayType: 'Date', exportType: 'date' };
+    } else if (dataType.includes('int')) {
+        return { displayType: 'Integer', exportType: 'number' };
+    } else if (dataType.includes('float') || dataType.includes('real')) {
+        return { displayType: 'Decimal', exportType: 'number' };
+    } else if (dataType.includes('bool')) {
+        return { displayType: 'Boolean', exportType: 'text' };
+    }
+    return { displayType: 'Text', exportType: 'text' };
+}
+
+// Build sort, layout and per-column controls into a worksheet's container,
+// restoring the configuration saved in the workbook settings
+function buildColumnConfigurator(container, columns, worksheetName) {
+    const saved = loadWorksheetConfig(worksheetName);
+    const savedColumns = new Map((saved?.columns || []).map(col => [col.fieldName, col]));
+
+    if (getDataSourceMode() === 'underlying') {
+        const tableControls = createLogicalTableControls(worksheetName, saved?.logicalTableId);
+        if (tableControls) container.appendChild(tableControls);
+    }
+    container.appendChild(createSheetNameControls(worksheetName, saved?.sheetName));
+    container.appendChild(createSortControls(columns, saved?.sort));
+    container.appendChild(createLayoutControls(container, saved?.layoutMode));
+    container.appendChild(createTotalsControls(saved?.grandTotal));
+
+    mergeSavedColumns(columns, saved).forEach((column, index) => {
+        container.appendChild(createColumnItem(column, index, worksheetName, container, columns, savedColumns.get(column.fieldName)));
+    });
+
+    applyLayoutMode(container);
+
+    // Any edit inside the configurator is saved back to settings (assigned, not added, because
+    // the single-worksheet column list element is reused across renders; handleWorksheetSelection clears it)
+    container.onchange = () => saveWorksheetConfig(container, worksheetName);
+}
+
+// Logical table picker for the underlying data mode (only when the worksheet has more than one table).
+// Another table has other columns, so a change saves the choice and rebuilds the configurator.
+function createLogicalTableControls(worksheetName, savedTableId) {
+    const tables = logicalTablesCache.get(worksheetName) || [];
+    if (tables.length < 2) return null;
+
+    const tableContainer = document.createElement('div');
+    tableContainer.style.cssText = 'margin-bottom: 10px; display: flex; gap: 8px; align-items: center;';
+
+    const tableLabel = document.createElement('span');
+    tableLabel.textContent = 'Table:';
+    tableLabel.style.fontWeight = '600';
+    tableLabel.style.fontSize = '13px';
+
+    const tableSelect = document.createElement('select');
+    tableSelect.className = 'logical-table-select';
+    tableSelect.style.cssText = 'flex: 1; padding: 6px; font-size: 13px;';
+    tables.forEach(table => {
+        const option = document.createElement('option');
+        option.value = table.id;
+        option.textContent = table.caption;
+        tableSelect.appendChild(option);
+    });
+    if (tables.some(table => table.id === savedTableId)) tableSelect.value = savedTableId;
+
+    tableSelect.addEventListener('change', (event) => {
+        // Handled here rather than by the configurator's save, which would store the old table's columns
+        event.stopPropagation();
+        try {
+            const saved = loadWorksheetConfig(worksheetName) || {};
+            tableau.extensions.settings.set(getColumnConfigKey(worksheetName),
+                JSON.stringify({ ...saved, logicalTableId: tableSelect.value }));
+            scheduleSettingsSave();
+        } catch (error) {
+            console.error(`Could not save the table choice for ${worksheetName}:`, error);
+        }
+        window.worksheetColumns.delete(worksheetName);
+        previewDataCache.delete(worksheetName);
+        handleWorksheetSelection();
+    });
+
+    tableContainer.appendChild(tableLabel);
+    tableContainer.appendChild(tableSelect);
+    return tableContainer;
+}
+
+// Sheet name for the worksheet's tab in the workbook (or its file in a CSV/TSV ZIP)
+function createSheetNameControls(worksheetName, savedSheetName) {
+    const nameContainer = document.createElement('div');
+    nameContainer.style.cssText = 'margin-bottom: 10px; display: flex; gap: 8px; align-items: center;';
+
+    const nameLabel = document.createElement('span');
+    nameLabel.textContent = 'Sheet name:';
+    nameLabel.style.fontWeight = '600';
+    nameLabel.style.fontSize = '13px';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'sheet-name-input';
+    nameInput.placeholder = worksheetName;
+    nameInput.maxLength = 31;
+    nameInput.value = savedSheetName || '';
+    nameInput.title = 'Name of this sheet in the export (max 31 characters; duplicates get a numbered suffix)';
+    nameInput.style.cssText = 'flex: 1; padding: 6px; font-size: 13px; border: 1px solid #d1d9e0; border-radius: 4px;';
+
+    nameContainer.appendChild(nameLabel);
+    nameContainer.appendChild(nameInput);
+    return nameContainer;
+}
+
+// Sort controls: an ordered list of sort levels (column + direction) plus null placement and natural text order.
+// savedSort is { keys: [{ field, direction }], nulls, natural } (older configs saved a single { field, direction })
+function createSortControls(columns, savedSort) {
     const sortContainer = document.createElement('div');
-    sortContainer.style.cssText = 'margin-bottom: 10px; display: flex; gap: 8px; align-items: center;';
+    sortContainer.className = 'sort-controls';
+    sortContainer.style.cssText = 'margin-bottom: 10px; display: flex; flex-direction: column; gap: 6px;';
+
+    const headerRow = document.createElement('div');
+    headerRow.style.cssText = 'display: flex; gap: 8px; align-items: center;';
 
     const sortLabel = document.createElement('span');
     sortLabel.textContent = 'Sort by:';
     sortLabel.style.fontWeight = '600';
     sortLabel.style.fontSize = '13px';
 
+    const keyList = document.createElement('div');
+    keyList.className = 'sort-keys';
+    keyList.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+
+    // Adding or removing a level is saved like any other configurator edit
+    const notifyChange = () => sortContainer.dispatchEvent(new Event('change', { bubbles: true }));
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn-select-all';
+    addButton.textContent = '+ Then by';
+    addButton.title = 'Add another sort level';
+    addButton.addEventListener('click', () => {
+        keyList.appendChild(createSortKeyRow(columns, null, notifyChange));
+        notifyChange();
+    });
+
+    const nullsSelect = document.createElement('select');
+    nullsSelect.className = 'sort-nulls-selector';
+    nullsSelect.style.cssText = 'padding: 6px; font-size: 13px;';
+    [
+        { value: 'last', label: 'Nulls last' },
+        { value: 'first', label: 'Nulls first' }
+    ].forEach(opt => {
+        const option = document.createElement('option');
+        option.value = opt.value;
+        option.textContent = opt.label;
+        nullsSelect.appendChild(option);
+    });
+    nullsSelect.value = savedSort?.nulls === 'first' ? 'first' : 'last';
+
+    const naturalLabel = document.createElement('label');
+    naturalLabel.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 13px;';
+    naturalLabel.title = 'Compare numbers inside text by value, so "Item 2" sorts before "Item 10"';
+    const naturalToggle = document.createElement('input');
+    naturalToggle.type = 'checkbox';
+    naturalToggle.className = 'sort-natural-toggle';
+    naturalToggle.checked = !!savedSort?.natural;
+    naturalLabel.appendChild(naturalToggle);
+    naturalLabel.appendChild(document.createTextNode('Natural text order'));
+
+    const savedKeys = (savedSort?.keys || (savedSort?.field ? [{ field: savedSort.field, direction: savedSort.direction }] : []))
+        .filter(key => columns.some(col => col.fieldName === key.field));
+    (savedKeys.length > 0 ? savedKeys : [null]).forEach(key => {
+        keyList.appendChild(createSortKeyRow(columns, key, notifyChange));
+    });
+
+    headerRow.appendChild(sortLabel);
+    headerRow.appendChild(nullsSelect);
+    headerRow.appendChild(naturalLabel);
+    headerRow.appendChild(addButton);
+    sortContainer.appendChild(headerRow);
+    sortContainer.appendChild(keyList);
+    return sortContainer;
+}
+
+// One sort level: column, direction and a remove button
+function createSortKeyRow(columns, savedKey, onChange) {
+    const row = document.createElement('div');
+    row.className = 'sort-key';
+    row.style.cssText = 'display: flex; gap: 8px; align-items: center;';
+
     const sortSelect = document.createElement('select');
     sortSelect.className = 'sort-column-selector';
     sortSelect.style.cssText = 'flex: 1; padding: 6px; font-size: 13px;';
@@ -662,342 +896,1674 @@ function displayColumnSelection(columns, worksheetName) {
     descOpt.textContent = 'Descending';
     sortDir.appendChild(descOpt);
 
-    sortContainer.appendChild(sortLabel);
-    sortContainer.appendChild(sortSelect);
-    sortContainer.appendChild(sortDir);
-    columnList.appendChild(sortContainer);
-    
-    columns.forEach((column, index) => {
-        const div = document.createElement('div');
-        div.className = 'column-item';
-        div.dataset.originalName = column.fieldName;
-        div.dataset.worksheet = worksheetName;
-
-        // Order number input (editable)
-        const orderInput = document.createElement('input');
-        orderInput.type = 'number';
-        orderInput.className = 'column-order-input';
-        orderInput.value = index + 1;
-        orderInput.min = 1;
-        orderInput.title = 'Change number to reorder';
-        orderInput.style.width = '45px';
-        orderInput.style.textAlign = 'center';
-
-        // Reorder on change
-        orderInput.addEventListener('change', (e) => {
-            reorderColumns(columnList, parseInt(e.target.value), div);
-        });
+    if (savedKey) {
+        sortSelect.value = savedKey.field;
+        sortDir.value = savedKey.direction === 'desc' ? 'desc' : 'asc';
+    }
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `column_${index}`;
-        checkbox.value = column.fieldName;
-        checkbox.checked = true;
-        checkbox.dataset.index = index;
-
-        // Rename input instead of label
-        const renameInput = document.createElement('input');
-        renameInput.type = 'text';
-        renameInput.className = 'column-rename-input';
-        renameInput.value = getDisplayName(column.fieldName); // Use display name by default
-        renameInput.title = 'Click to rename for export';
-        renameInput.dataset.originalName = column.fieldName;
-
-        // Determine actual data type and format options
-        const dataType = column.dataType.toLowerCase();
-        let displayType = '';
-        let exportType = '';
-        
-        if (dataType.includes('date')) {
-            displayType = 'Date';
-            exportType = 'date';
-        } else if (dataType.includes('int')) {
-            displayType = 'Integer';
-            exportType = 'number';
-        } else if (dataType.includes('float') || dataType.includes('real')) {
-            displayType = 'Decimal';
-            exportType = 'number';
-        } else if (dataType.includes('bool')) {
-            displayType = 'Boolean';
-            exportType = 'text';
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn-deselect-all';
+    removeButton.textContent = '✕';
+    removeButton.title = 'Remove this sort level';
+    removeButton.addEventListener('click', () => {
+        const keyList = row.parentElement;
+        // Keep one (empty) level so the selector stays visible
+        if (keyList.querySelectorAll('.sort-key').length > 1) {
+            row.remove();
         } else {
-            displayType = 'Text';
-            exportType = 'text';
+            sortSelect.value = '';
+            sortDir.value = 'asc';
         }
+        onChange();
+    });
 
-        // Add badge for column type showing actual data type
-        const badge = document.createElement('span');
-        if (exportType === 'number') {
-            badge.className = 'column-badge badge-measure';
-        } else if (exportType === 'date') {
-            badge.className = 'column-badge badge-date';
-        } else {
-            badge.className = 'column-badge badge-dimension';
-        }
-        badge.textContent = displayType;
-        badge.title = `Source type: ${column.dataType}`;
-
-        // Add data type selector dropdown
-        const typeSelector = document.createElement('select');
-        typeSelector.className = 'column-type-selector';
-        typeSelector.title = 'Select export data type';
-        typeSelector.dataset.originalType = exportType;
-        
-        // Add options based on source type
-        const options = [
-            { value: 'text', label: 'Text' },
-            { value: 'number', label: 'Number' },
-            { value: 'date', label: 'Date (Mon-YYYY)' },
-            { value: 'date-full', label: 'Date (Full)' }
-        ];
-        
-        options.forEach(opt => {
-            const option = document.createElement('option');
-            option.value = opt.value;
-            option.textContent = opt.label;
-            if (opt.value === exportType) {
-                option.selected = true;
-            }
-            typeSelector.appendChild(option);
-        });
+    row.appendChild(sortSelect);
+    row.appendChild(sortDir);
+    row.appendChild(removeButton);
+    return row;
+}
 
-        div.appendChild(orderInput);
-        div.appendChild(checkbox);
-        div.appendChild(renameInput);
-        div.appendChild(badge);
-        div.appendChild(typeSelector);
-        columnList.appendChild(div);
+// Layout selector: flat table or crosstab with row/column/value roles per column
+function createLayoutControls(container, savedMode) {
+    const layoutContainer = document.createElement('div');
+    layoutContainer.style.cssText = 'margin-bottom: 10px; display: flex; gap: 8px; align-items: center;';
+
+    const layoutLabel = document.createElement('span');
+    layoutLabel.textContent = 'Layout:';
+    layoutLabel.style.fontWeight = '600';
+    layoutLabel.style.fontSize = '13px';
+
+    const layoutSelect = document.createElement('select');
+    layoutSelect.className = 'layout-selector';
+    layoutSelect.style.cssText = 'flex: 1; padding: 6px; font-size: 13px;';
+    [
+        { value: 'flat', label: 'Flat table' },
+        { value: 'crosstab', label: 'Crosstab (rows × columns)' }
+    ].forEach(opt => {
+        const option = document.createElement('option');
+        option.value = opt.value;
+        option.textContent = opt.label;
+        layoutSelect.appendChild(option);
     });
+    layoutSelect.value = savedMode === 'crosstab' ? 'crosstab' : 'flat';
+    layoutSelect.title = 'Crosstab puts the chosen dimensions on rows and columns with measures in the cells';
+    layoutSelect.addEventListener('change', () => applyLayoutMode(container));
+
+    layoutContainer.appendChild(layoutLabel);
+    layoutContainer.appendChild(layoutSelect);
+    return layoutContainer;
 }
 
-// Note: Select/Deselect all columns functionality is now per-worksheet
-// Individual buttons are created dynamically for each worksheet tab
+// Grand total toggle (flat layout only); subtotals are chosen per dimension column
+function createTotalsControls(savedGrandTotal) {
+    const totalsContainer = document.createElement('div');
+    totalsContainer.className = 'totals-controls';
+    totalsContainer.style.cssText = 'margin-bottom: 10px; display: flex; gap: 8px; align-items: center;';
+
+    const totalsLabel = document.createElement('span');
+    totalsLabel.textContent = 'Totals:';
+    totalsLabel.style.fontWeight = '600';
+    totalsLabel.style.fontSize = '13px';
+
+    const grandTotalLabel = document.createElement('label');
+    grandTotalLabel.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 13px;';
+    grandTotalLabel.title = 'Add a bold Grand Total row using each column\'s aggregation; tick Subtotal on a column to add subtotal rows at its breaks';
+
+    const grandTotalToggle = document.createElement('input');
+    grandTotalToggle.type = 'checkbox';
+    grandTotalToggle.className = 'grand-total-toggle';
+    grandTotalToggle.checked = !!savedGrandTotal;
+
+    grandTotalLabel.appendChild(grandTotalToggle);
+    grandTotalLabel.appendChild(document.createTextNode('Grand total row'));
+    totalsContainer.appendChild(totalsLabel);
+    totalsContainer.appendChild(grandTotalLabel);
+    return totalsContainer;
+}
 
-// Refresh worksheets and columns (clear cache and reload)
-function refreshAll() {
-    console.log('Manual refresh triggered');
-    showStatus('Refreshing worksheets and columns...', 'info');
-    
-    // Clear all cached data
-    console.log('Clearing all cached column data...');
-    window.worksheetColumns.clear();
-    
-    // Reload worksheets
-    loadWorksheets();
-    
-    showStatus('✓ Refreshed successfully', 'success');
+// Subtotal toggle for a dimension column: adds a subtotal row whenever the column's value changes
+function createSubtotalToggle(savedColumn) {
+    const label = document.createElement('label');
+    label.className = 'column-subtotal';
+    label.title = 'Add a subtotal row whenever this column\'s value changes';
+    label.style.cssText = 'display: flex; align-items: center; gap: 4px; font-size: 12px; color: #555; white-space: nowrap;';
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.className = 'column-subtotal-toggle';
+    toggle.checked = !!savedColumn?.subtotal;
+
+    label.appendChild(toggle);
+    label.appendChild(document.createTextNode('Subtotal'));
+    return label;
 }
 
-// Collect dashboard filters information
-async function collectDashboardFilters() {
-    try {
-        const filterData = [];
-        
-        // Add header section
-        filterData.push(['DASHBOARD EXPORT SUMMARY']);
-        filterData.push(['']);
-        filterData.push(['Dashboard Name:', dashboard.name]);
-        filterData.push(['Export Date:', new Date().toLocaleString()]);
-        filterData.push(['Export User:', tableau.extensions.environment.mode || 'Desktop']);
-        filterData.push(['']);
-        filterData.push(['ACTIVE FILTERS']);
-        filterData.push(['Filter Name', 'Applied Values']);
-        filterData.push(['']);
-        
-        let hasFilters = false;
-        
-        // Get filters from all worksheets
-        for (const ws of worksheets) {
-            try {
-                const filters = await ws.getFiltersAsync();
-                
-                if (filters.length > 0) {
-                    // Add worksheet section header
-                    filterData.push([`Worksheet: ${ws.name}`, '']);
-                    
-                    for (const filter of filters) {
-                        hasFilters = true;
-                        let filterValues = '';
-                        
-                        // Handle different filter types
-                        if (filter.filterType === 'categorical') {
-                            if (filter.appliedValues && filter.appliedValues.length > 0) {
-                                const values = filter.appliedValues.map(v => v.value);
-                                filterValues = values.slice(0, 100).join(', ');
-                                if (values.length > 100) {
-                                    filterValues += ` ... (${values.length - 100} more)`;
-                                }
-                                // Truncate if still too long (Excel limit is ~32K)
-                                if (filterValues.length > 30000) {
-                                    filterValues = filterValues.substring(0, 30000) + '... (truncated)';
-                                }
-                            } else if (filter.isExcludeMode) {
-                                const excluded = (filter.excludedValues || []).map(v => v.value);
-                                filterValues = 'Excluded: ' + excluded.slice(0, 100).join(', ');
-                                if (excluded.length > 100) {
-                                    filterValues += ` ... (${excluded.length - 100} more)`;
-                                }
-                                if (filterValues.length > 30000) {
-                                    filterValues = filterValues.substring(0, 30000) + '... (truncated)';
-                                }
-                            }
-                        } else if (filter.filterType === 'range') {
-                            if (filter.minValue !== null && filter.maxValue !== null) {
-                                filterValues = `${filter.minValue} to ${filter.maxValue}`;
-                            } else if (filter.minValue !== null) {
-                                filterValues = `>= ${filter.minValue}`;
-                            } else if (filter.maxValue !== null) {
-                                filterValues = `<= ${filter.maxValue}`;
-                            }
-                        } else if (filter.filterType === 'relative-date') {
-                            filterValues = filter.periodType || 'Relative Date Filter';
-                        }
-                        
-                        filterData.push([`  ${filter.fieldName}`, filterValues || 'All']);
-                    }
-                    
-                    filterData.push(['']); // Empty row between worksheets
-                }
-            } catch (error) {
-                console.log(`Could not get filters for ${ws.name}:`, error.message);
-            }
-        }
-        
-        // Get dashboard-level parameters
-        try {
-            const parameters = await dashboard.getParametersAsync();
-            if (parameters.length > 0) {
-                filterData.push(['DASHBOARD PARAMETERS', '']);
-                for (const param of parameters) {
-                    filterData.push([`  ${param.name}`, param.currentValue.value || 'Not Set']);
-                }
-                hasFilters = true;
-            }
-        } catch (error) {
-            console.log('Could not get parameters:', error.message);
-        }
-        
-        if (!hasFilters) {
-            filterData.push(['No filters currently applied', '']);
-        }
-        
-        return filterData;
-        
-    } catch (error) {
-        console.error('Error collecting dashboard filters:', error);
-        return [
-            ['DASHBOARD EXPORT SUMMARY'],
-            [''],
-            ['Dashboard Name:', dashboard.name],
-            ['Export Date:', new Date().toLocaleString()],
-            [''],
-            ['Error collecting filters:', error.message]
-        ];
-    }
+// Show crosstab role selectors only when the crosstab layout is chosen; totals only apply to flat tables
+function applyLayoutMode(container) {
+    const mode = container.querySelector('.layout-selector')?.value || 'flat';
+    container.querySelectorAll('.column-role-selector').forEach(sel => {
+        sel.style.display = mode === 'crosstab' ? '' : 'none';
+    });
+    container.querySelectorAll('.totals-controls, .column-subtotal').forEach(el => {
+        el.style.display = mode === 'crosstab' ? 'none' : '';
+    });
 }
 
-// Show status message
-function showStatus(message, type) {
-    const statusDiv = document.getElementById('status');
-    statusDiv.textContent = message;
-    statusDiv.className = `status ${type}`;
-    
-    if (type === 'success' || type === 'error') {
-        setTimeout(() => {
-            statusDiv.className = 'status';
-        }, 5000);
-    }
+// Default crosstab role: measures go in cells, dates across columns, other dimensions down rows
+function getDefaultCrosstabRole(exportType) {
+    if (exportType === 'number') return 'value';
+    if (exportType === 'date') return 'column';
+    return 'row';
 }
 
-// Show/hide loading indicator
-function setLoading(isLoading) {
-    const loading = document.getElementById('loading');
-    const exportBtn = document.getElementById('exportBtn');
-    
-    if (isLoading) {
-        loading.classList.add('active');
-        exportBtn.disabled = true;
-    } else {
-        loading.classList.remove('active');
-        updateExportButton();
+// Default aggregation for a measure, taken from the aggregation Tableau applied to the field
+function getDefaultAggregation(fieldName) {
+    const aggMatch = fieldName.match(/^([A-Z]+)\(.*\)$/i);
+    switch (aggMatch ? aggMatch[1].toUpperCase() : '') {
+        case 'AVG':
+            return 'avg';
+        case 'MIN':
+            return 'min';
+        case 'MAX':
+            return 'max';
+        case 'ATTR':
+            return 'first';
+        case 'COUNT':
+            // Counts from finer-grained rows add up when rolled up
+            return 'sum';
+        case 'COUNTD':
+            // Distinct counts of separate rows can't be combined into the group's distinct count,
+            // so grouped rows are left blank rather than showing a made-up number (the column is flagged)
+            return 'none';
+        case 'AGG':
+        case 'MEDIAN':
+        case 'STDEV':
+        case 'STDEVP':
+        case 'VAR':
+        case 'VARP':
+        case 'PERCENTILE':
+            // Ratios and statistics can't be summed; averaging is the closest default
+            return 'avg';
+        default:
+            return 'sum';
     }
 }
 
+// Aggregation dropdown (plus weight column for weighted average) for a measure row
+function createAggregationControls(column, columns, savedColumn) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'column-agg-controls';
+    wrapper.style.cssText = 'display: flex; gap: 4px;';
+
+    const aggSelector = document.createElement('select');
+    aggSelector.className = 'column-agg-selector';
+    aggSelector.title = 'Aggregation used when rows are grouped by dimensions';
+    [
+        { value: 'sum', label: 'Sum' },
+        { value: 'avg', label: 'Average' },
+        { value: 'min', label: 'Min' },
+        { value: 'max', label: 'Max' },
+        { value: 'count', label: 'Count' },
+        { value: 'countd', label: 'Count Distinct' },
+        { value: 'first', label: 'First' },
+        { value: 'last', label: 'Last' },
+        { value: 'wavg', label: 'Weighted Avg' },
+        { value: 'none', label: 'None (blank if combined)' }
+    ].forEach(opt => {
+        const option = document.createElement('option');
+        option.value = opt.value;
+        option.textContent = opt.label;
+        aggSelector.appendChild(option);
+    });
+    aggSelector.value = getDefaultAggregation(column.fieldName);
+
+    // Weight column choices: the other numeric columns of the worksheet
+    const weightSelector = document.createElement('select');
+    weightSelector.className = 'column-weight-selector';
+    weightSelector.title = 'Weight column for the weighted average';
+    columns
+        .filter(col => col.fieldName !== column.fieldName && getColumnTypeInfo(col).exportType === 'number')
+        .forEach(col => {
+            const option = document.createElement('option');
+            option.value = col.fieldName;
+            option.textContent = `by ${getDisplayName(col.fieldName)}`;
+            weightSelector.appendChild(option);
+        });
 
+    if (savedColumn?.aggregation) {
+        aggSelector.value = savedColumn.aggregation;
+        if (savedColumn.weightField && columns.some(col => col.fieldName === savedColumn.weightField)) {
+            weightSelector.value = savedColumn.weightField;
+        }
+    }
 
-// Convert crosstab data to proper structure
-function processCrosstabData(data) {
-    if (!data || data.length === 0) return [];
-    
-    // The data comes in a format where:
-    // - Each row contains all the information
-    // - We need to identify dimension vs measure columns
-    const processedData = [];
-    
-    // Simply return the data as-is for crosstab - Excel will handle the structure
-    // The key is that we're using getCrosstabDataAsync which preserves the pivot structure
-    return data;
-}
+    const syncWeightSelector = () => {
+        weightSelector.style.display = aggSelector.value === 'wavg' ? '' : 'none';
+    };
+    aggSelector.addEventListener('change', syncWeightSelector);
+    syncWeightSelector();
 
-// Get the selected export format
-function getExportFormat() {
-    const formatRadio = document.querySelector('input[name="exportFormat"]:checked');
-    const format = formatRadio ? formatRadio.value : 'crosstab';
-    console.log('Selected export format:', format);
-    return format;
+    // Weighted average needs another numeric column to weight by
+    if (weightSelector.options.length === 0) {
+        aggSelector.querySelector('option[value="wavg"]').disabled = true;
+    }
+
+    wrapper.appendChild(aggSelector);
+    wrapper.appendChild(weightSelector);
+
+    // No aggregation of grouped rows gives an exact distinct count - say so next to the dropdown
+    if (/^COUNTD\(/i.test(column.fieldName)) {
+        const distinctNote = document.createElement('span');
+        distinctNote.className = 'column-countd-note';
+        distinctNote.textContent = '⚠';
+        distinctNote.title = 'Distinct counts cannot be rolled up: with None, rows that combine several marks are left blank; ' +
+            'Sum overcounts values shared by several marks and Max undercounts. Export duplicate rows (no grouping) to keep Tableau\'s values.';
+        distinctNote.style.cssText = 'color: #856404; cursor: help;';
+        wrapper.appendChild(distinctNote);
+    }
+    return wrapper;
 }
 
-// Reorder columns based on sequence number
-function reorderColumns(tabContent, newPosition, movedItem) {
-    const allItems = [...tabContent.querySelectorAll('.column-item')];
-    const currentIndex = allItems.indexOf(movedItem);
-    
-    // Validate position
-    if (newPosition < 1) newPosition = 1;
-    if (newPosition > allItems.length) newPosition = allItems.length;
+// Build a single column row: order, include checkbox, rename, type badge, export type,
+// aggregation (measures only) and crosstab role
+function createColumnItem(column, index, worksheetName, container, columns, savedColumn) {
+    const div = document.createElement('div');
+    div.className = 'column-item';
+    div.dataset.originalName = column.fieldName;
+    div.dataset.worksheet = worksheetName;
+
+    // Order number input (editable)
+    const orderInput = document.createElement('input');
+    orderInput.type = 'number';
+    orderInput.className = 'column-order-input';
+    orderInput.value = index + 1;
+    orderInput.min = 1;
+    orderInput.title = 'Change number to reorder';
+    orderInput.style.width = '45px';
+    orderInput.style.textAlign = 'center';
     
-    const newIndex = newPosition - 1;
-    if (newIndex === currentIndex) return;
+    // Reorder on change
+    orderInput.addEventListener('change', (e) => {
+        reorderColumns(container, parseInt(e.target.value), div);
+    });
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `column_${worksheetName}_${index}`;
+    checkbox.value = column.fieldName;
+    checkbox.checked = savedColumn ? savedColumn.selected !== false : true;
+    // Locked columns keep the default name and type: renames or types saved by a viewer (or a preset)
+    // before the author locked the column are ignored
+    const locked = isColumnLocked(worksheetName, column.fieldName);
+    checkbox.dataset.index = index;
+    checkbox.dataset.worksheet = worksheetName;
+
+    // Rename input instead of label
+    const renameInput = document.createElement('input');
+    renameInput.type = 'text';
+    renameInput.className = 'column-rename-input';
+    renameInput.value = (!locked && savedColumn?.name) || getDisplayName(column.fieldName); // Use display name by default
+    renameInput.title = 'Click to rename for export';
+    renameInput.dataset.originalName = column.fieldName;
+
+    // Determine actual data type and format options
+    const { displayType, exportType } = getColumnTypeInfo(column);
+
+    // Add badge for column type showing actual data type
+    const badge = document.createElement('span');
+    if (exportType === 'number') {
+        badge.className = 'column-badge badge-measure';
+    } else if (exportType === 'date') {
+        badge.className = 'column-badge badge-date';
+    } else {
+        badge.className = 'column-badge badge-dimension';
+    }
+    badge.textContent = displayType;
+    badge.title = `Source type: ${column.dataType}`;
+
+    // Add data type selector dropdown
+    const typeSelector = document.createElement('select');
+    typeSelector.className = 'column-type-selector';
+    typeSelector.title = 'Select export data type';
+    typeSelector.dataset.originalType = exportType;
     
-    // Remove item from current position
-    movedItem.remove();
+    // Add options based on source type
+    const options = [
+        { value: 'text', label: 'Text' },
+        { value: 'number', label: 'Number (as in Tableau)' },
+        { value: 'number-integer', label: 'Number (1,234)' },
+        { value: 'number-decimal', label: 'Number (1,234.56)' },
+        { value: 'percent', label: 'Percent (12.3%)' },
+        { value: 'currency', label: 'Currency ($1,234.56)' },
+        { value: 'date', label: 'Date (Mon-YYYY)' },
+        { value: 'date-full', label: 'Date (Full)' },
+        { value: 'date-dmy', label: 'Date (dd/mm/yyyy)' },
+        { value: 'date-mdy', label: 'Date (mm/dd/yyyy)' },
+        { value: 'datetime', label: 'Date & time' }
+    ];
     
-    // Insert at new position
-    if (newIndex >= allItems.length - 1) {
-        tabContent.appendChild(movedItem);
+    options.forEach(opt => {
+        const option = document.createElement('option');
+        option.value = opt.value;
+        option.textContent = opt.label;
+        if (opt.value === exportType) {
+            option.selected = true;
+        }
+        typeSelector.appendChild(option);
+    });
+    if (!locked && savedColumn?.exportType && options.some(opt => opt.value === savedColumn.exportType)) {
+        typeSelector.value = savedColumn.exportType;
+    }
+
+    // Crosstab role selector (hidden in flat layout)
+    const roleSelector = document.createElement('select');
+    roleSelector.className = 'column-role-selector';
+    roleSelector.title = 'Crosstab role';
+    [
+        { value: 'row', label: 'Rows' },
+        { value: 'column', label: 'Columns' },
+        { value: 'value', label: 'Values' },
+        { value: 'none', label: 'Not in crosstab' }
+    ].forEach(opt => {
+        const option = document.createElement('option');
+        option.value = opt.value;
+        option.textContent = opt.label;
+        roleSelector.appendChild(option);
+    });
+    roleSelector.value = savedColumn?.role || getDefaultCrosstabRole(exportType);
+
+    // Locked columns are always exported with the author's name and type
+    if (locked) {
+        checkbox.checked = true;
+        checkbox.disabled = true;
+        renameInput.disabled = true;
+        typeSelector.disabled = true;
+        div.classList.add('column-locked');
+        div.title = 'Locked by the dashboard author';
+    }
+
+    div.appendChild(orderInput);
+    div.appendChild(checkbox);
+    div.appendChild(renameInput);
+    div.appendChild(badge);
+    div.appendChild(typeSelector);
+    if (exportType === 'number') {
+        div.appendChild(createAggregationControls(column, columns, savedColumn));
     } else {
-        const referenceItem = allItems[newIndex];
-        tabContent.insertBefore(movedItem, referenceItem);
+        div.appendChild(createSubtotalToggle(savedColumn));
     }
-    
-    // Update all sequence numbers
-    updateColumnOrder(tabContent);
+    div.appendChild(roleSelector);
+    return div;
 }
 
-function updateColumnOrder(tabContent) {
-    const items = tabContent.querySelectorAll('.column-item');
-    items.forEach((item, index) => {
-        const orderInput = item.querySelector('.column-order-input');
-        if (orderInput) {
-            orderInput.value = index + 1;
-        }
+// Read the column configuration (selection, renames, types, sort, layout, totals, sheet name) from a worksheet's container.
+// columns is the worksheet's current column list (e.g. freshly fetched data); it defaults to the cached columns.
+// Selected columns missing from that list are dropped; when no list is known (the cache was cleared by a
+// filter change or an export) they are kept, since the pipeline matches them against the data by field name.
+function collectColumnConfig(container, worksheetName, columns) {
+    const columnItems = container.querySelectorAll('.column-item');
+    const indices = [];
+    const names = [];
+    const originalNames = [];
+    const exportTypes = [];
+    const aggregations = [];
+    const layout = {
+        mode: container.querySelector('.layout-selector')?.value || 'flat',
+        rows: [],
+        columns: [],
+        values: []
+    };
+    const totals = {
+        grandTotal: !!container.querySelector('.grand-total-toggle')?.checked,
+        subtotalFields: []
+    };
+
+    columnItems.forEach(item => {
         const checkbox = item.querySelector('input[type="checkbox"]');
-        if (checkbox) {
-            checkbox.dataset.index = index;
+        if (checkbox && checkbox.checked) {
+            const renameInput = item.querySelector('.column-rename-input');
+            const typeSelector = item.querySelector('.column-type-selector');
+            const roleSelector = item.querySelector('.column-role-selector');
+            const originalName = renameInput ? renameInput.dataset.originalName : checkbox.value;
+            const newName = renameInput ? (renameInput.value.trim() || originalName) : originalName;
+            const exportType = typeSelector ? typeSelector.value : 'text';
+
+            // Find original index from the current (or cached) columns
+            const knownColumns = columns || window.worksheetColumns?.get(worksheetName);
+            const originalIndex = knownColumns
+                ? knownColumns.findIndex(col => col.fieldName === originalName)
+                : Array.from(columnItems).indexOf(item);
+
+            if (originalIndex >= 0) {
+                indices.push(originalIndex);
+                names.push(newName);
+                originalNames.push(originalName);
+                exportTypes.push(exportType);
+
+                // Aggregation for measures ({ fn, weightField }), null for dimensions
+                const aggSelector = item.querySelector('.column-agg-selector');
+                const weightSelector = item.querySelector('.column-weight-selector');
+                aggregations.push(aggSelector ? {
+                    fn: aggSelector.value,
+                    weightField: aggSelector.value === 'wavg' && weightSelector ? weightSelector.value : ''
+                } : null);
+
+                const role = roleSelector ? roleSelector.value : 'none';
+                if (role === 'row') layout.rows.push(originalName);
+                else if (role === 'column') layout.columns.push(originalName);
+                else if (role === 'value') layout.values.push(originalName);
+
+                if (item.querySelector('.column-subtotal-toggle')?.checked) totals.subtotalFields.push(originalName);
+            }
         }
     });
-}
 
-// Export selected worksheets to Excel
-async function exportToExcel() {
-    const checkedBoxes = document.querySelectorAll('.worksheet-item input[type="checkbox"]:checked');
-    const selectedWorksheets = Array.from(checkedBoxes).map(cb => cb.value);
+    // Capture sort levels, in order; levels on unselected or repeated columns are dropped
+    const sort = {
+        keys: [],
+        nulls: container.querySelector('.sort-nulls-selector')?.value || 'last',
+        natural: !!container.querySelector('.sort-natural-toggle')?.checked
+    };
+    container.querySelectorAll('.sort-key').forEach(row => {
+        const field = row.querySelector('.sort-column-selector')?.value || '';
+        const index = field ? originalNames.indexOf(field) : -1;
+        if (index >= 0 && !sort.keys.some(key => key.index === index)) {
+            sort.keys.push({
+                field,
+                index,
+                direction: row.querySelector('.sort-direction-selector')?.value || 'asc',
+                exportType: exportTypes[index]
+            });
+        }
+    });
+
+    const sheetName = container.querySelector('.sheet-name-input')?.value.trim() || '';
+
+    return { indices, names, originalNames, exportTypes, aggregations, sort, layout, totals, sheetName };
+}
+
+// Settings key holding a worksheet's column configuration.
+// Underlying data has different columns, so it is configured separately from the summary data.
+function getColumnConfigKey(worksheetName) {
+    return getDataSourceMode() === 'underlying' ? `columnConfig:underlying:${worksheetName}` : `columnConfig:${worksheetName}`;
+}
+
+// 'summary' (the data shown in the viz) or 'underlying' (the row-level data behind it)
+function getDataSourceMode() {
+    return document.getElementById('dataSourceMode')?.value === 'underlying' ? 'underlying' : 'summary';
+}
+
+// Switching to underlying data usually means every row is wanted, so stop rolling rows up
+function handleDataSourceModeChange() {
+    const duplicatesCb = document.getElementById('includeDuplicateRows');
+    if (duplicatesCb && getDataSourceMode() === 'underlying') duplicatesCb.checked = true;
+    updateDataSourceMode();
+}
+
+// Drop the cached columns and data of the previous mode and rebuild the column configurators
+function updateDataSourceMode() {
+    console.log('Data source mode:', getDataSourceMode());
+    window.worksheetColumns.clear();
+    previewDataCache.clear();
+    handleWorksheetSelection();
+    refreshRowEstimates(worksheets);
+}
+
+// Logical tables behind a worksheet, for the underlying data mode (cached per worksheet)
+async function getLogicalTables(worksheet) {
+    if (!logicalTablesCache.has(worksheet.name)) {
+        const tables = await worksheet.getUnderlyingTablesAsync();
+        logicalTablesCache.set(worksheet.name, tables.map(table => ({ id: table.id, caption: table.caption })));
+    }
+    return logicalTablesCache.get(worksheet.name);
+}
+
+// The logical table to read for a worksheet: the configurator's picker, then the saved choice, then the first table
+async function resolveLogicalTableId(worksheet) {
+    const tables = await getLogicalTables(worksheet);
+    const picker = getConfiguratorContainer(worksheet.name)?.querySelector('.logical-table-select');
+    const wanted = picker?.value || loadWorksheetConfig(worksheet.name)?.logicalTableId;
+    const table = tables.find(t => t.id === wanted) || tables[0];
+    if (!table) throw new Error(`No underlying tables found for ${worksheet.name}`);
+    return table.id;
+}
+
+// Fetch a worksheet's data in the current data source mode - every data read goes through here.
+// options.maxRows limits the rows returned (e.g. 1 to discover the columns) - underlying data only,
+// as this API version always returns every summary row;
+// options.selectedMarksOnly returns only the selected marks (no rows while nothing is selected)
+async function fetchWorksheetData(worksheet, options = {}) {
+    let marks = null;
+    if (options.selectedMarksOnly) {
+        marks = marksToDataTable(await worksheet.getSelectedMarksAsync());
+        console.log(`${worksheet.name}: ${marks.data.length} selected marks`);
+    }
+
+    if (getDataSourceMode() === 'underlying') {
+        // Underlying data keeps its own columns, so an empty selection only decides that there are no rows
+        const tableId = await resolveLogicalTableId(worksheet);
+        console.log(`Fetching underlying data for ${worksheet.name} (logical table ${tableId})`);
+        const dataTable = await worksheet.getUnderlyingTableDataAsync(tableId, {
+            maxRows: options.maxRows || 0,
+            includeAllColumns: true,
+            ignoreSelection: !marks
+        });
+        return marks && marks.data.length === 0 ? { columns: dataTable.columns, data: [] } : dataTable;
+    }
+    if (marks) return marks;
+    return worksheet.getSummaryDataAsync(options.maxRows ? { maxRows: options.maxRows } : undefined);
+}
+
+// Read a worksheet's saved column configuration from the extension settings
+function loadWorksheetConfig(worksheetName) {
+    try {
+        if (typeof tableau === 'undefined' || !tableau.extensions.settings) return null;
+        const raw = tableau.extensions.settings.get(getColumnConfigKey(worksheetName));
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.log(`Could not read saved configuration for ${worksheetName}:`, error.message);
+        return null;
+    }
+}
+
+// Order the worksheet's current columns by the saved configuration.
+// Fields removed from the worksheet are dropped; fields added since the save are appended.
+function mergeSavedColumns(columns, saved) {
+    if (!saved || !Array.isArray(saved.columns)) return columns;
+
+    const remaining = new Map(columns.map(col => [col.fieldName, col]));
+    const ordered = [];
+    saved.columns.forEach(savedCol => {
+        const column = remaining.get(savedCol.fieldName);
+        if (column) {
+            ordered.push(column);
+            remaining.delete(savedCol.fieldName);
+        }
+    });
+    if (remaining.size > 0) {
+        console.log('New fields since the configuration was saved:', Array.from(remaining.keys()).join(', '));
+    }
+    remaining.forEach(column => ordered.push(column));
+    return ordered;
+}
+
+// Snapshot of every column row (selected or not) plus sheet name, sort, layout and totals, in display order
+function readConfiguratorState(container) {
+    const columns = [];
+    container.querySelectorAll('.column-item').forEach(item => {
+        const aggSelector = item.querySelector('.column-agg-selector');
+        const weightSelector = item.querySelector('.column-weight-selector');
+        columns.push({
+            fieldName: item.dataset.originalName,
+            selected: !!item.querySelector('input[type="checkbox"]')?.checked,
+            name: item.querySelector('.column-rename-input')?.value.trim() || '',
+            exportType: item.querySelector('.column-type-selector')?.value || 'text',
+            aggregation: aggSelector ? aggSelector.value : '',
+            weightField: aggSelector && aggSelector.value === 'wavg' && weightSelector ? weightSelector.value : '',
+            role: item.querySelector('.column-role-selector')?.value || '',
+            subtotal: !!item.querySelector('.column-subtotal-toggle')?.checked
+        });
+    });
+
+    return {
+        columns,
+        logicalTableId: container.querySelector('.logical-table-select')?.value || '',
+        sheetName: container.querySelector('.sheet-name-input')?.value.trim() || '',
+        sort: {
+            keys: Array.from(container.querySelectorAll('.sort-key'))
+                .map(row => ({
+                    field: row.querySelector('.sort-column-selector')?.value || '',
+                    direction: row.querySelector('.sort-direction-selector')?.value || 'asc'
+                }))
+                .filter(key => key.field),
+            nulls: container.querySelector('.sort-nulls-selector')?.value || 'last',
+            natural: !!container.querySelector('.sort-natural-toggle')?.checked
+        },
+        layoutMode: container.querySelector('.layout-selector')?.value || 'flat',
+        grandTotal: !!container.querySelector('.grand-total-toggle')?.checked
+    };
+}
+
+// Store a worksheet's configurator state in the extension settings
+function saveWorksheetConfig(container, worksheetName) {
+    // Every configurator edit comes through here, so refresh the preview as well
+    schedulePreviewUpdate();
+    try {
+        if (typeof tableau === 'undefined' || !tableau.extensions.settings) return;
+        const state = readConfiguratorState(container);
+        tableau.extensions.settings.set(getColumnConfigKey(worksheetName), JSON.stringify(state));
+        scheduleSettingsSave();
+    } catch (error) {
+        console.error(`Could not save configuration for ${worksheetName}:`, error);
+    }
+}
+
+const WORKSHEET_ORDER_KEY = 'worksheetOrder';
+
+// Saved worksheet order (names), which is also the order of the tabs in the export
+function loadWorksheetOrder() {
+    try {
+        if (typeof tableau === 'undefined' || !tableau.extensions.settings) return [];
+        const raw = tableau.extensions.settings.get(WORKSHEET_ORDER_KEY);
+        const order = raw ? JSON.parse(raw) : [];
+        return Array.isArray(order) ? order : [];
+    } catch (error) {
+        console.log('Could not read saved worksheet order:', error.message);
+        return [];
+    }
+}
+
+// Move a worksheet up (-1) or down (1) in the list, save the order and rebuild the column tabs to match
+function moveWorksheet(item, direction) {
+    const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+    if (!sibling || !sibling.classList.contains('worksheet-item')) return;
+    item.parentElement.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+
+    const order = Array.from(document.querySelectorAll('.worksheet-item input[type="checkbox"]')).map(cb => cb.value);
+    try {
+        tableau.extensions.settings.set(WORKSHEET_ORDER_KEY, JSON.stringify(order));
+        scheduleSettingsSave();
+    } catch (error) {
+        console.error('Could not save worksheet order:', error);
+    }
+    handleWorksheetSelection();
+}
+
+// Persist settings to the workbook shortly after the last change.
+// Only authors can save settings; viewers keep their changes for the session.
+function scheduleSettingsSave() {
+    clearTimeout(settingsSaveTimer);
+    settingsSaveTimer = setTimeout(() => {
+        if (tableau.extensions.environment.mode !== 'authoring') return;
+        tableau.extensions.settings.saveAsync()
+            .then(() => console.log('Settings saved to workbook'))
+            .catch(error => console.log('Could not save settings:', error.message));
+    }, 500);
+}
+
+// Settings key holding the dashboard's named export presets
+const PRESETS_KEY = 'exportPresets';
+
+// Read all saved presets ([{ name, worksheets, columnConfigs, options }])
+function loadPresets() {
+    try {
+        const raw = tableau.extensions.settings.get(PRESETS_KEY);
+        const presets = raw ? JSON.parse(raw) : [];
+        return Array.isArray(presets) ? presets : [];
+    } catch (error) {
+        console.log('Could not read export presets:', error.message);
+        return [];
+    }
+}
+
+// Store presets in settings; only authors can save them to the workbook for the whole team
+async function savePresets(presets) {
+    tableau.extensions.settings.set(PRESETS_KEY, JSON.stringify(presets));
+    if (tableau.extensions.environment.mode !== 'authoring') {
+        return false;
+    }
+    await tableau.extensions.settings.saveAsync();
+    return true;
+}
+
+// Fill the preset dropdown, keeping the given preset selected if it still exists
+function renderPresetOptions(selectedName) {
+    const select = document.getElementById('presetSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    const noneOpt = document.createElement('option');
+    noneOpt.value = '';
+    noneOpt.textContent = 'No preset';
+    select.appendChild(noneOpt);
+
+    const presets = loadPresets();
+    presets.forEach(preset => {
+        const opt = document.createElement('option');
+        opt.value = preset.name;
+        opt.textContent = preset.name;
+        select.appendChild(opt);
+    });
+
+    select.value = presets.some(p => p.name === selectedName) ? selectedName : '';
+}
+
+// Container holding a worksheet's column configurator, if it is currently rendered
+function getConfiguratorContainer(worksheetName) {
+    const tab = document.getElementById('tab-' + worksheetName);
+    if (tab) return tab;
+    const columnList = document.getElementById('columnList');
+    const item = columnList.querySelector('.column-item');
+    return item && item.dataset.worksheet === worksheetName ? columnList : null;
+}
+
+// Current values of the export option controls
+function getExportOptionState() {
+    return {
+        format: getExportFormat(),
+        includeDuplicateRows: !!document.getElementById('includeDuplicateRows')?.checked,
+        includeDashboardFilters: !!document.getElementById('includeDashboardFilters')?.checked,
+        selectedMarksOnly: !!document.getElementById('selectedMarksOnly')?.checked,
+        includeContextHeader: !!document.getElementById('includeContextHeader')?.checked,
+        includeNullsAcrossDimensions: !!document.getElementById('includeNullsAcrossDimensions')?.checked,
+        csvDelimiter: document.getElementById('csvDelimiter')?.value || 'comma',
+        csvQuoting: document.getElementById('csvQuoting')?.value || 'minimal',
+        csvIncludeBom: !!document.getElementById('csvIncludeBom')?.checked,
+        filenamePattern: document.getElementById('filenamePattern')?.value || '',
+        dataSourceMode: getDataSourceMode(),
+        sheetMode: getSheetModeOptions(),
+        burst: getBurstOptions(),
+        scenarioEnabled: !!document.getElementById('scenarioEnabled')?.checked
+    };
+}
+
+// Set the export option controls from a saved state
+function applyExportOptionState(options) {
+    const formatRadio = document.querySelector(`input[name="exportFormat"][value="${options.format}"]`);
+    if (formatRadio) formatRadio.checked = true;
+
+    ['includeDuplicateRows', 'includeDashboardFilters', 'selectedMarksOnly', 'includeContextHeader', 'scenarioEnabled', 'includeNullsAcrossDimensions', 'csvIncludeBom'].forEach(id => {
+        const cb = document.getElementById(id);
+        if (cb && id in options) cb.checked = !!options[id];
+    });
+    if (options.csvDelimiter) document.getElementById('csvDelimiter').value = options.csvDelimiter;
+    if (options.csvQuoting) document.getElementById('csvQuoting').value = options.csvQuoting;
+    if (typeof options.filenamePattern === 'string') document.getElementById('filenamePattern').value = options.filenamePattern;
+    if (options.dataSourceMode && options.dataSourceMode !== getDataSourceMode()) {
+        // Cached columns belong to the other mode; the caller rebuilds the configurators
+        document.getElementById('dataSourceMode').value = options.dataSourceMode;
+        window.worksheetColumns.clear();
+    }
+    // Previewed data depends on the data source and selected-marks options
+    previewDataCache.clear();
+    if (options.sheetMode) {
+        document.getElementById('sheetMode').value = options.sheetMode.mode || 'separate';
+        document.getElementById('combineMatchBy').value = options.sheetMode.matchBy || 'field';
+        const isJoin = options.sheetMode.mode === 'join';
+        document.getElementById('combinedSheetName').value = isJoin ? '' : options.sheetMode.sheetName || '';
+        document.getElementById('joinedSheetName').value = isJoin ? options.sheetMode.sheetName || '' : '';
+        document.getElementById('joinType').value = options.sheetMode.joinType || 'inner';
+        document.getElementById('joinKeyList').dataset.selected = JSON.stringify(options.sheetMode.joinKeys || []);
+    }
+
+    if (options.burst) {
+        document.getElementById('burstEnabled').checked = !!options.burst.enabled;
+        document.getElementById('burstField').dataset.selected = options.burst.field || '';
+        document.getElementById('burstOutput').value = options.burst.output || 'sheets';
+    }
+
+    updateFormatOptions();
+    updateSheetModeOptions();
+    updateBurstOptions();
+    updateScenarioOptions();
+}
+
+// Snapshot worksheet selection, column configuration and options as a preset
+function capturePreset(name) {
+    const selected = Array.from(document.querySelectorAll('.worksheet-item input[type="checkbox"]:checked')).map(cb => cb.value);
+    const columnConfigs = {};
+    selected.forEach(worksheetName => {
+        const container = getConfiguratorContainer(worksheetName);
+        const state = container ? readConfiguratorState(container) : loadWorksheetConfig(worksheetName);
+        if (state) columnConfigs[worksheetName] = state;
+    });
+    return { name, worksheets: selected, columnConfigs, options: getExportOptionState() };
+}
+
+// Save the current setup as a new preset (or overwrite one with the same name)
+async function savePresetAs() {
+    const nameInput = document.getElementById('presetName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showStatus('Enter a name for the preset first', 'warning');
+        nameInput.focus();
+        return;
+    }
+
+    const presets = loadPresets().filter(p => p.name !== name);
+    presets.push(capturePreset(name));
+    await storePresets(presets, `✓ Preset "${name}" saved`, name);
+    nameInput.value = '';
+}
+
+// Overwrite the selected preset with the current setup
+async function updatePreset() {
+    const name = document.getElementById('presetSelect').value;
+    if (!name) {
+        showStatus('Select a preset to update', 'warning');
+        return;
+    }
+    const presets = loadPresets().map(p => p.name === name ? capturePreset(name) : p);
+    await storePresets(presets, `✓ Preset "${name}" updated`, name);
+}
+
+// Delete the selected preset
+async function deletePreset() {
+    const name = document.getElementById('presetSelect').value;
+    if (!name) {
+        showStatus('Select a preset to delete', 'warning');
+        return;
+    }
+    if (!confirm(`Delete preset "${name}"?`)) return;
+    await storePresets(loadPresets().filter(p => p.name !== name), `✓ Preset "${name}" deleted`, '');
+}
+
+// Save presets and report whether they were shared through the workbook
+async function storePresets(presets, message, selectedName) {
+    try {
+        const shared = await savePresets(presets);
+        renderPresetOptions(selectedName);
+        showStatus(shared ? message : `${message} for this session only - presets can be shared only in authoring mode`,
+            shared ? 'success' : 'warning');
+    } catch (error) {
+        console.error('Error saving presets:', error);
+        showStatus('Error saving presets: ' + error.message, 'error');
+    }
+}
+
+// Apply the preset chosen in the dropdown
+function applySelectedPreset() {
+    const name = document.getElementById('presetSelect').value;
+    const preset = loadPresets().find(p => p.name === name);
+    if (!preset) return;
+
+    // Options first: the data source mode decides which settings keys the column configurations go to
+    applyExportOptionState(preset.options || {});
+
+    // Column configurations go through the per-worksheet settings the configurator restores from
+    Object.entries(preset.columnConfigs || {}).forEach(([worksheetName, state]) => {
+        tableau.extensions.settings.set(getColumnConfigKey(worksheetName), JSON.stringify(state));
+    });
+    scheduleSettingsSave();
+
+    document.querySelectorAll('.worksheet-item input[type="checkbox"]').forEach(cb => {
+        cb.checked = (preset.worksheets || []).includes(cb.value);
+    });
+
+    updateExportButton();
+    handleWorksheetSelection();
+    showStatus(`Preset "${name}" applied`, 'info');
+}
+
+// Note: Select/Deselect all columns functionality is now per-worksheet
+// Individual buttons are created dynamically for each worksheet tab
+
+// Refresh worksheets and columns (clear cache and reload)
+function refreshAll() {
+    console.log('Manual refresh triggered');
+    showStatus('Refreshing worksheets and columns...', 'info');
+    
+    // Clear all cached data
+    console.log('Clearing all cached column data...');
+    window.worksheetColumns.clear();
+    previewDataCache.clear();
+    logicalTablesCache.clear();
+    
+    // Reload worksheets
+    loadWorksheets();
+    
+    showStatus('✓ Refreshed successfully', 'success');
+}
+
+// Filters with more values than this list them on the separate Filter Values sheet
+const FILTER_VALUES_INLINE_LIMIT = 25;
+
+// Collect a structured summary of the dashboard's filters and parameters.
+// Returns { summary, values }: summary has one row per distinct filter (a filter shared by several
+// worksheets is listed once with all of them); values lists every value of filters too long to inline.
+async function collectDashboardFilters() {
+    const summary = [];
+    const values = [];
+
+    summary.push(['DASHBOARD EXPORT SUMMARY']);
+    summary.push(['']);
+    summary.push(['Dashboard Name:', dashboard.name]);
+    summary.push(['Export Date:', new Date().toLocaleString()]);
+    summary.push(['Export User:', tableau.extensions.environment.mode || 'Desktop']);
+    summary.push(['']);
+
+    try {
+        // Describe each worksheet's filters, merging identical ones across worksheets
+        const filterEntries = new Map();
+        for (const ws of worksheets) {
+            try {
+                const filters = await ws.getFiltersAsync();
+                filters.forEach(filter => {
+                    const entry = describeFilter(filter);
+                    const key = JSON.stringify([entry.row, entry.values]);
+                    if (!filterEntries.has(key)) filterEntries.set(key, { ...entry, worksheets: [] });
+                    filterEntries.get(key).worksheets.push(ws.name);
+                });
+            } catch (error) {
+                console.log(`Could not get filters for ${ws.name}:`, error.message);
+            }
+        }
+
+        summary.push(['ACTIVE FILTERS']);
+        summary.push(['Field', 'Filter Type', 'Mode', 'Values', 'Value Count', 'Range Min', 'Range Max',
+            'Include Nulls', 'Relative Period', 'Period Count', 'Anchor Date', 'Worksheets']);
+
+        if (filterEntries.size === 0) {
+            summary.push(['No filters currently applied']);
+        }
+        filterEntries.forEach(entry => {
+            const worksheetList = entry.worksheets.join(', ');
+            const row = [...entry.row, worksheetList];
+            if (entry.values.length > FILTER_VALUES_INLINE_LIMIT) {
+                row[3] = `${entry.values.length} values - see the "${FILTER_VALUES_SHEET_NAME}" sheet`;
+                if (values.length === 0) values.push(['Field', 'Mode', 'Value', 'Worksheets']);
+                entry.values.forEach(value => values.push([row[0], row[2], value, worksheetList]));
+            }
+            summary.push(row);
+        });
+        console.log(`Collected ${filterEntries.size} distinct filters`);
+
+        // Get dashboard-level parameters
+        try {
+            const parameters = await dashboard.getParametersAsync();
+            if (parameters.length > 0) {
+                summary.push(['']);
+                summary.push(['DASHBOARD PARAMETERS']);
+                summary.push(['Parameter', 'Value']);
+                for (const param of parameters) {
+                    summary.push([param.name, param.currentValue.formattedValue ?? param.currentValue.value ?? 'Not Set']);
+                }
+            }
+        } catch (error) {
+            console.log('Could not get parameters:', error.message);
+        }
+
+        return { summary, values };
+
+    } catch (error) {
+        console.error('Error collecting dashboard filters:', error);
+        summary.push(['Error collecting filters:', error.message]);
+        return { summary, values: [] };
+    }
+}
+
+// One summary row for a filter: [field, type, mode, values, count, min, max, nulls, period, count, anchor]
+// plus the full list of its values. Missing details are left blank rather than guessed.
+function describeFilter(filter) {
+    const text = (dataValue) => dataValue == null ? '' : String(dataValue.formattedValue ?? dataValue.value ?? '');
+    const row = [filter.fieldName, filter.filterType, '', '', '', '', '', '', '', '', ''];
+    let values = [];
+
+    if (filter.filterType === 'categorical') {
+        values = (filter.appliedValues || []).map(text);
+        row[2] = filter.isExcludeMode ? 'Exclude' : 'Include';
+        row[3] = filter.isAllSelected ? 'All values' : values.join(', ');
+        row[4] = values.length;
+    } else if (filter.filterType === 'range') {
+        row[2] = 'Range';
+        row[5] = text(filter.minValue);
+        row[6] = text(filter.maxValue);
+        row[7] = filter.includeNullValues === undefined ? '' : (filter.includeNullValues ? 'Yes' : 'No');
+    } else if (filter.filterType === 'relative-date') {
+        row[2] = 'Relative';
+        row[8] = describeRelativeDatePeriod(filter);
+        row[9] = filter.rangeN ?? '';
+        row[10] = text(filter.anchorDate);
+    } else {
+        row[3] = 'Details not available through the Extensions API';
+    }
+
+    return { row, values };
+}
+
+// One line of a worksheet's active filters for the context block, e.g. "Region: East, West; Order Date: Last 3 months"
+async function describeWorksheetFilters(worksheet) {
+    try {
+        const filters = await worksheet.getFiltersAsync();
+        return filters.map(filter => {
+            const { row, values } = describeFilter(filter);
+            const [field, , mode, valueText, , min, max, , period] = row;
+            if (filter.filterType === 'categorical') {
+                const list = values.length > FILTER_VALUES_INLINE_LIMIT ? `${values.length} values` : valueText;
+                return `${field}${mode === 'Exclude' ? ' (excluded)' : ''}: ${list}`;
+            }
+            if (filter.filterType === 'range') return `${field}: ${min || '…'} to ${max || '…'}`;
+            if (filter.filterType === 'relative-date') return `${field}: ${period}`;
+            return field;
+        }).join('; ');
+    } catch (error) {
+        console.log(`Could not get filters for ${worksheet.name}:`, error.message);
+        return '';
+    }
+}
+
+// Dashboard name, export time and parameter values shown in every data sheet's context block
+async function collectExportContext() {
+    let parameters = '';
+    try {
+        const params = await dashboard.getParametersAsync();
+        parameters = params.map(param => `${param.name} = ${param.currentValue.formattedValue ?? param.currentValue.value}`).join('; ');
+    } catch (error) {
+        console.log('Could not get parameters:', error.message);
+    }
+    return { dashboardName: dashboard.name, exportedAt: new Date().toLocaleString(), parameters };
+}
+
+// Readable relative-date range, e.g. "Last 3 months" or "Year to date"
+function describeRelativeDatePeriod(filter) {
+    const period = filter.periodType || 'periods';
+    const single = period.replace(/s$/, '');
+    switch (filter.rangeType) {
+        case 'current': return `This ${single}`;
+        case 'last': return `Previous ${single}`;
+        case 'lastn': return `Last ${filter.rangeN} ${period}`;
+        case 'next': return `Next ${single}`;
+        case 'nextn': return `Next ${filter.rangeN} ${period}`;
+        case 'todate': return `${single.charAt(0).toUpperCase()}${single.slice(1)} to date`;
+        default: return period;
+    }
+}
+
+// Show status message
+function showStatus(message, type) {
+    const statusDiv = document.getElementById('status');
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+    
+    if (type === 'success' || type === 'error') {
+        setTimeout(() => {
+            statusDiv.className = 'status';
+        }, 5000);
+    }
+}
+
+// Show/hide loading indicator
+function setLoading(isLoading) {
+    const loading = document.getElementById('loading');
+    const exportBtn = document.getElementById('exportBtn');
+    
+    if (isLoading) {
+        loading.classList.add('active');
+        exportBtn.disabled = true;
+    } else {
+        loading.classList.remove('active');
+        updateExportButton();
+    }
+}
+
+
+
+// Convert crosstab data to proper structure
+function processCrosstabData(data) {
+    if (!data || data.length === 0) return [];
+    
+    // The data comes in a format where:
+    // - Each row contains all the information
+    // - We need to identify dimension vs measure columns
+    const processedData = [];
+    
+    // Simply return the data as-is for crosstab - Excel will handle the structure
+    // The key is that we're using getCrosstabDataAsync which preserves the pivot structure
+    return data;
+}
+
+// Get the selected export format ('xlsx', 'csv' or 'tsv')
+function getExportFormat() {
+    const formatRadio = document.querySelector('input[name="exportFormat"]:checked');
+    const format = formatRadio ? formatRadio.value : 'xlsx';
+    console.log('Selected export format:', format);
+    return format;
+}
+
+// Show the delimited-text options only for CSV/TSV and keep the export button label in sync
+function updateFormatOptions() {
+    const format = getExportFormat();
+    const delimitedOptions = document.getElementById('delimitedOptions');
+    const delimiterRow = document.getElementById('csvDelimiterRow');
+    const exportBtn = document.getElementById('exportBtn');
+
+    if (delimitedOptions) {
+        delimitedOptions.style.display = format === 'xlsx' ? 'none' : 'block';
+    }
+    if (delimiterRow) {
+        // TSV always uses a tab, so the delimiter choice only applies to CSV
+        delimiterRow.style.display = format === 'csv' ? 'flex' : 'none';
+    }
+    if (exportBtn) {
+        exportBtn.textContent = format === 'xlsx' ? '📊 Export to Excel' : `📄 Export to ${format.toUpperCase()}`;
+    }
+    // The row-limit warnings in the preview and the worksheet list only apply to Excel
+    document.querySelectorAll('.row-estimate-badge').forEach(badge => updateRowEstimateBadge(badge.dataset.worksheet));
+    schedulePreviewUpdate();
+}
+
+// Show the combine or join options only when worksheets are merged into one sheet
+function updateSheetModeOptions() {
+    const mode = document.getElementById('sheetMode')?.value || 'separate';
+    const combineOptions = document.getElementById('combineOptions');
+    if (combineOptions) {
+        combineOptions.style.display = mode === 'combine' ? 'block' : 'none';
+    }
+    const joinOptions = document.getElementById('joinOptions');
+    if (joinOptions) {
+        joinOptions.style.display = mode === 'join' ? 'block' : 'none';
+    }
+    if (mode === 'join') renderJoinKeyOptions();
+}
+
+// List the dimension fields shared by two or more selected worksheets as join key checkboxes.
+// The chosen keys live in the list's data-selected attribute so they survive re-renders and presets.
+function renderJoinKeyOptions() {
+    const keyList = document.getElementById('joinKeyList');
+    if (!keyList) return;
+
+    const selectedKeys = JSON.parse(keyList.dataset.selected || '[]');
+    const selectedWorksheets = Array.from(document.querySelectorAll('.worksheet-item input[type="checkbox"]:checked')).map(cb => cb.value);
+
+    // Count how many selected worksheets have each dimension (aggregated fields are measures)
+    const fieldCounts = new Map();
+    selectedWorksheets.forEach(worksheetName => {
+        getWorksheetFieldNames(worksheetName).forEach(fieldName => {
+            if (getDisplayName(fieldName) !== fieldName) return;
+            fieldCounts.set(fieldName, (fieldCounts.get(fieldName) || 0) + 1);
+        });
+    });
+    const sharedFields = Array.from(fieldCounts.entries()).filter(([, count]) => count > 1);
+
+    keyList.innerHTML = '';
+    if (sharedFields.length === 0) {
+        keyList.innerHTML = '<span style="color: #666;">Select two or more worksheets that share a dimension</span>';
+        return;
+    }
+
+    sharedFields.forEach(([fieldName, count]) => {
+        const label = document.createElement('label');
+        label.style.cssText = 'display: flex; gap: 6px; align-items: center; min-width: 0; font-weight: normal;';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'join-key-toggle';
+        checkbox.value = fieldName;
+        checkbox.checked = selectedKeys.includes(fieldName);
+        checkbox.addEventListener('change', () => {
+            const keys = Array.from(keyList.querySelectorAll('.join-key-toggle:checked')).map(cb => cb.value);
+            keyList.dataset.selected = JSON.stringify(keys);
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(`${fieldName} (${count} of ${selectedWorksheets.length} worksheets)`));
+        keyList.appendChild(label);
+    });
+}
+
+// Field names of a worksheet, from its rendered column configurator when there is one: the column
+// cache is cleared by exports and filter changes, the configurator is not
+function getWorksheetFieldNames(worksheetName) {
+    const container = getConfiguratorContainer(worksheetName);
+    const items = container ? Array.from(container.querySelectorAll('.column-item')) : [];
+    if (items.length > 0) return items.map(item => item.dataset.originalName);
+    return (window.worksheetColumns.get(worksheetName) || []).map(column => column.fieldName);
+}
+
+// Read how the selected worksheets are laid out in the export (one sheet each, stacked or joined)
+function getSheetModeOptions() {
+    const mode = document.getElementById('sheetMode')?.value || 'separate';
+    const sheetNameInput = document.getElementById(mode === 'join' ? 'joinedSheetName' : 'combinedSheetName');
+    return {
+        mode,
+        matchBy: document.getElementById('combineMatchBy')?.value || 'field',
+        sheetName: sheetNameInput?.value.trim() || '',
+        joinType: document.getElementById('joinType')?.value || 'inner',
+        joinKeys: JSON.parse(document.getElementById('joinKeyList')?.dataset.selected || '[]')
+    };
+}
+
+// Read delimiter, quoting and BOM choices for CSV/TSV output
+function getDelimitedOptions(format) {
+    const delimiterMap = { comma: ',', semicolon: ';', pipe: '|', tab: '\t' };
+    const delimiterKey = document.getElementById('csvDelimiter')?.value || 'comma';
+    return {
+        delimiter: format === 'tsv' ? '\t' : (delimiterMap[delimiterKey] || ','),
+        quoting: document.getElementById('csvQuoting')?.value || 'minimal',
+        includeBom: !!document.getElementById('csvIncludeBom')?.checked,
+        extension: format === 'tsv' ? 'tsv' : 'csv'
+    };
+}
+
+// File name used when neither the panel nor the author configuration sets a pattern
+const DEFAULT_FILENAME_PATTERN = 'Tableau_Export_{date:yyyy-MM-dd_HH-mm-ss}';
+
+// Longest file name (without extension) we produce; keeps paths usable on Windows
+const MAX_FILENAME_LENGTH = 120;
+
+// Filename template from the Export Options input, falling back to the author's pattern
+function getFilenamePattern() {
+    const typed = document.getElementById('filenamePattern')?.value.trim();
+    return typed || extensionConfig?.filenamePattern || DEFAULT_FILENAME_PATTERN;
+}
+
+// Format a date with a small subset of Excel/Java-style tokens (yyyy, yy, MMM, MM, M, dd, d, HH, H, mm, ss)
+function formatDateToken(date, format) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const parts = {
+        yyyy: String(date.getFullYear()),
+        yy: String(date.getFullYear()).slice(-2),
+        MMM: monthNames[date.getMonth()],
+        MM: pad(date.getMonth() + 1),
+        M: String(date.getMonth() + 1),
+        dd: pad(date.getDate()),
+        d: String(date.getDate()),
+        HH: pad(date.getHours()),
+        H: String(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    return format.replace(/yyyy|yy|MMM|MM|M|dd|d|HH|H|mm|ss/g, token => parts[token]);
+}
+
+// Expand a filename template. Tokens: {dashboard}, {worksheet} (first selected), {worksheets},
+// {date} or {date:format}, {param:Name}, {filter:Field}. Unknown values expand to nothing.
+function expandFilenameTemplate(pattern, context) {
+    return pattern.replace(/\{([^{}:]+)(?::([^{}]*))?\}/g, (match, token, arg) => {
+        switch (token.trim().toLowerCase()) {
+            case 'dashboard':
+                return context.dashboard || '';
+            case 'worksheet':
+                return context.worksheets[0] || '';
+            case 'worksheets':
+                return context.worksheets.join('_');
+            case 'date':
+                return formatDateToken(context.now, arg || 'yyyy-MM-dd');
+            case 'param':
+                return context.parameters.get(arg) ?? '';
+            case 'filter':
+                return context.filters.get(arg) ?? '';
+            default:
+                console.log(`Unknown filename token: ${match}`);
+                return '';
+        }
+    });
+}
+
+// Clean an expanded filename: drop unsafe characters, a typed extension and excess length
+function sanitizeExportFilename(name) {
+    let cleaned = sanitizeFileName(name)
+        .replace(/\.(xlsx|csv|tsv|zip)$/i, '')
+        .replace(/\s+/g, ' ')
+        .replace(/[\s_]*_[\s_]*/g, '_')
+        .replace(/^[\s._-]+|[\s._-]+$/g, '');
+    if (cleaned.length > MAX_FILENAME_LENGTH) {
+        cleaned = cleaned.substring(0, MAX_FILENAME_LENGTH).replace(/[\s._-]+$/, '');
+    }
+    return cleaned || 'Tableau_Export';
+}
+
+// Build the export file name (without extension) from a template, reading parameter and
+// filter values from the dashboard only when the template uses them
+async function buildExportFilename(pattern, selectedWorksheets) {
+    const context = {
+        dashboard: dashboard?.name || '',
+        worksheets: selectedWorksheets,
+        now: new Date(),
+        parameters: new Map(),
+        filters: new Map()
+    };
+
+    if (/\{param:/i.test(pattern)) {
+        try {
+            const parameters = await dashboard.getParametersAsync();
+            parameters.forEach(param => {
+                context.parameters.set(param.name, param.currentValue.formattedValue ?? String(param.currentValue.value));
+            });
+        } catch (error) {
+            console.log('Could not read parameters for file name:', error.message);
+        }
+    }
+
+    if (/\{filter:/i.test(pattern)) {
+        // Prefer filters on the exported worksheets, then any worksheet on the dashboard
+        const candidates = [
+            ...worksheets.filter(ws => selectedWorksheets.includes(ws.name)),
+            ...dashboard.worksheets.filter(ws => !selectedWorksheets.includes(ws.name))
+        ];
+        for (const ws of candidates) {
+            try {
+                const filters = await ws.getFiltersAsync();
+                filters.forEach(filter => {
+                    if (context.filters.has(filter.fieldName)) return;
+                    context.filters.set(filter.fieldName, describeFilterForFilename(filter));
+                });
+            } catch (error) {
+                console.log(`Could not read filters on ${ws.name} for file name:`, error.message);
+            }
+        }
+    }
+
+    return sanitizeExportFilename(expandFilenameTemplate(pattern, context));
+}
+
+// Short text for a filter value in a file name
+function describeFilterForFilename(filter) {
+    if (filter.filterType === 'categorical') {
+        if (filter.isAllSelected) return 'All';
+        const values = (filter.appliedValues || []).map(v => v.formattedValue ?? v.value);
+        return (filter.isExcludeMode ? 'Excl-' : '') + values.join('+');
+    }
+    if (filter.filterType === 'range') {
+        const min = filter.minValue ? (filter.minValue.formattedValue ?? filter.minValue.value) : '';
+        const max = filter.maxValue ? (filter.maxValue.formattedValue ?? filter.maxValue.value) : '';
+        return `${min}-${max}`;
+    }
+    return filter.periodType || '';
+}
+
+// Trigger a browser download for a generated file
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Copy a Tableau DataTable into plain row arrays that can be posted to the export worker
+function toPlainDataTable(dataTable) {
+    return {
+        columns: dataTable.columns.map(col => ({ fieldName: col.fieldName, dataType: col.dataType })),
+        data: dataTable.data.map(row => row.map(cell => ({ value: cell.value, formattedValue: cell.formattedValue })))
+    };
+}
+
+// Update the loading overlay with the current export step
+function updateProgress(message, percent) {
+    const messageEl = document.getElementById('loadingMessage');
+    const barEl = document.getElementById('loadingProgressBar');
+    if (messageEl && message) messageEl.textContent = message;
+    if (barEl && typeof percent === 'number') {
+        barEl.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+    }
+}
+
+// Run an export job in the export worker, falling back to the main thread if workers are unavailable
+function runExportJob(job) {
+    const runOnMainThread = () => {
+        console.log('Running export pipeline on the main thread');
+        return runExportPipeline(job, updateProgress, () => exportCancelled);
+    };
+
+    let worker;
+    try {
+        worker = new Worker('export-worker.js');
+    } catch (error) {
+        console.log('Export worker unavailable:', error.message);
+        return runOnMainThread();
+    }
+
+    return new Promise((resolve, reject) => {
+        let started = false;
+        const finish = () => {
+            worker.terminate();
+            activeExport = null;
+        };
+
+        activeExport = {
+            cancel: () => {
+                finish();
+                reject(new Error('Export cancelled'));
+            }
+        };
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            started = true;
+            if (message.type === 'progress') {
+                updateProgress(message.message, message.percent);
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish();
+            if (!started) {
+                // Worker script or its libraries failed to load - do the work here instead
+                console.log('Export worker failed to start:', event.message);
+                runOnMainThread().then(resolve, reject);
+            } else {
+                reject(new Error(event.message || 'Export worker failed'));
+            }
+        };
+
+        worker.postMessage(job);
+    });
+}
+
+// Cancel the running export (bound to the Cancel button in the loading overlay)
+function cancelExport() {
+    exportCancelled = true;
+    updateProgress('Cancelling export...');
+    if (activeExport) {
+        activeExport.cancel();
+    }
+}
+
+// Reorder columns based on sequence number
+function reorderColumns(tabContent, newPosition, movedItem) {
+    const allItems = [...tabContent.querySelectorAll('.column-item')];
+    const currentIndex = allItems.indexOf(movedItem);
+    
+    // Validate position
+    if (newPosition < 1) newPosition = 1;
+    if (newPosition > allItems.length) newPosition = allItems.length;
+    
+    const newIndex = newPosition - 1;
+    if (newIndex === currentIndex) return;
+    
+    // Remove item from current position
+    movedItem.remove();
+    
+    // Insert at new position
+    if (newIndex >= allItems.length - 1) {
+        tabContent.appendChild(movedItem);
+    } else {
+        const referenceItem = allItems[newIndex];
+        tabContent.insertBefore(movedItem, referenceItem);
+    }
+    
+    // Update all sequence numbers
+    updateColumnOrder(tabContent);
+}
+
+function updateColumnOrder(tabContent) {
+    const items = tabContent.querySelectorAll('.column-item');
+    items.forEach((item, index) => {
+        const orderInput = item.querySelector('.column-order-input');
+        if (orderInput) {
+            orderInput.value = index + 1;
+        }
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        if (checkbox) {
+            checkbox.dataset.index = index;
+        }
+    });
+}
+
+// Row handling options shared by the export and the preview
+function getDataOptions() {
+    const includeDuplicateRows = document.getElementById('includeDuplicateRows')?.checked || false;
+    return {
+        aggregateData: !includeDuplicateRows, // Default: aggregate measures by dimensions
+        includeNullsAcrossDimensions: document.getElementById('includeNullsAcrossDimensions')?.checked || false, // Optional user toggle (add checkbox with this id to UI)
+        selectedMarksOnly: document.getElementById('selectedMarksOnly')?.checked || false
+    };
+}
+
+// Worksheet shown in the preview: the active tab, or the only selected worksheet
+function getPreviewWorksheetName() {
+    const activeTab = document.querySelector('.tab-content.active');
+    if (activeTab) return activeTab.id.replace('tab-', '');
+    const selected = Array.from(document.querySelectorAll('.worksheet-item input[type="checkbox"]:checked')).map(cb => cb.value);
+    return selected.length === 1 ? selected[0] : null;
+}
+
+// Source rows the preview runs the pipeline on. Edits re-run it on the main thread, so a large
+// worksheet is previewed from its first rows; the export itself always uses every row (in the worker).
+const PREVIEW_SAMPLE_ROWS = 5000;
+
+// Debounce preview updates so a burst of edits runs the pipeline once
+function schedulePreviewUpdate() {
+    if (!document.getElementById('previewCard')) return;
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePreview, 300);
+}
+
+// Fetch the previewed worksheet's data again (e.g. after filters changed)
+function refreshPreview() {
+    previewDataCache.clear();
+    schedulePreviewUpdate();
+}
+
+// Run the export pipeline on the previewed worksheet and show the first rows
+async function updatePreview() {
+    const summaryEl = document.getElementById('previewSummary');
+    const tableEl = document.getElementById('previewTable');
+    if (!summaryEl || !tableEl) return;
+
+    const requestId = ++previewRequestId;
+    const worksheetName = getPreviewWorksheetName();
+    const worksheet = worksheetName && worksheets.find(ws => ws.name === worksheetName);
+    const container = worksheetName && getConfiguratorContainer(worksheetName);
+    if (!worksheet || !container) {
+        summaryEl.textContent = 'Select a worksheet to preview';
+        tableEl.innerHTML = '';
+        return;
+    }
+
+    try {
+        // A capped sample is cached so column edits only re-run the pipeline on it
+        if (!previewDataCache.has(worksheetName)) {
+            summaryEl.textContent = `Loading ${worksheetName}...`;
+            const fetched = await fetchWorksheetData(worksheet, {
+                selectedMarksOnly: getDataOptions().selectedMarksOnly,
+                maxRows: PREVIEW_SAMPLE_ROWS + 1
+            });
+            // Summary data always comes back whole, so its length is the source row count;
+            // underlying data stops at the cap, leaving the count unknown
+            const sampled = fetched.data.length > PREVIEW_SAMPLE_ROWS;
+            const sourceRows = getDataSourceMode() === 'summary' || !sampled ? fetched.data.length : null;
+            const sample = sampled ? { columns: fetched.columns, data: fetched.data.slice(0, PREVIEW_SAMPLE_ROWS) } : fetched;
+            previewDataCache.set(worksheetName, { dataTable: toPlainDataTable(sample), sampled, sourceRows, fetchedAt: new Date() });
+            if (sourceRows !== null && !getDataOptions().selectedMarksOnly) updateRowEstimateBadge(worksheetName, sourceRows);
+        }
+        if (requestId !== previewRequestId) return;
+
+        const { dataTable, sampled, sourceRows, fetchedAt } = previewDataCache.get(worksheetName);
+        const options = getDataOptions();
+        const sheet = buildSheetData(worksheetName, dataTable, collectColumnConfig(container, worksheetName, dataTable.columns), options);
+
+        if (!sheet) {
+            summaryEl.textContent = `${worksheetName}: no columns selected`;
+            tableEl.innerHTML = '';
+            return;
+        }
+
+        const rowLimit = parseInt(document.getElementById('previewRowCount')?.value, 10) || 25;
+        const headerRows = sheet.headerRows || 1;
+        const totalCount = Math.max(sheet.data.length - headerRows, 0);
+        const shownCount = Math.min(rowLimit, totalCount);
+        const sampleNote = !sampled ? ''
+            : ` from the first ${PREVIEW_SAMPLE_ROWS.toLocaleString()} of ${sourceRows !== null ? sourceRows.toLocaleString() : 'more'} source rows`;
+        summaryEl.textContent = `${worksheetName}: showing ${shownCount.toLocaleString()} of ${totalCount.toLocaleString()} rows` +
+            `${options.aggregateData ? ' (aggregated)' : ''}${sampleNote} · data as of ${fetchedAt.toLocaleTimeString()}` +
+            // A sample can't tell how many rows the export will have; the source rows are an upper bound
+            (sampled ? describeRowLimit(sourceRows || 0) : describeRowLimit(totalCount, headerRows));
+        renderPreviewTable(tableEl, sheet, headerRows + shownCount);
+    } catch (error) {
+        if (requestId !== previewRequestId) return;
+        console.error('Error building preview:', error);
+        summaryEl.textContent = `Preview failed: ${error.message}`;
+        tableEl.innerHTML = '';
+    }
+}
+
+// Warning text when a sheet's rows will not fit in one Excel worksheet (empty when they do)
+function describeRowLimit(rowCount, headerRows = 1) {
+    if (getExportFormat() !== 'xlsx' || rowCount + headerRows <= EXCEL_MAX_ROWS) return '';
+    const parts = Math.ceil(rowCount / (EXCEL_MAX_ROWS - headerRows));
+    return ` ⚠ exceeds Excel's ${EXCEL_MAX_ROWS.toLocaleString()}-row limit - will be split into ${parts} sheets`;
+}
+
+// Show a worksheet's row count in the worksheet list, flagged when it will not fit one Excel sheet.
+// capped means the count stopped at a fetch limit (at least that many rows).
+// Without rowCount the last known count is re-checked (e.g. after the format changed).
+function updateRowEstimateBadge(worksheetName, rowCount, capped = false) {
+    const item = Array.from(document.querySelectorAll('.worksheet-item'))
+        .find(el => el.querySelector('input[type="checkbox"]')?.value === worksheetName);
+    const label = item && item.querySelector('label');
+    if (!label) return;
+
+    let badge = label.querySelector('.row-estimate-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'row-estimate-badge';
+        badge.dataset.worksheet = worksheetName;
+        label.appendChild(badge);
+    }
+    if (typeof rowCount === 'number') {
+        badge.dataset.rows = rowCount;
+        badge.dataset.capped = capped ? 'true' : '';
+    }
+
+    // Source rows are an upper bound for the exported rows (aggregation only reduces them)
+    const rows = Number(badge.dataset.rows || 0);
+    const atLeast = !!badge.dataset.capped;
+    const warning = describeRowLimit(rows);
+    badge.textContent = `${atLeast ? '≥' : '~'}${rows.toLocaleString()} rows${warning ? ' ⚠' : ''}`;
+    badge.title = warning ? warning.replace('⚠', '').trim() : 'Rows in the worksheet data (aggregation may reduce them)';
+    badge.classList.toggle('row-estimate-warning', !!warning);
+}
+
+// Count the worksheets' source rows again and update their badges, one worksheet at a time in the background.
+// Summary data always comes back whole; underlying data is read up to the Excel row limit, which is
+// enough to tell whether a worksheet fits one sheet.
+function refreshRowEstimates(targetWorksheets) {
+    rowEstimateQueue = rowEstimateQueue.then(async () => {
+        for (const worksheet of targetWorksheets) {
+            try {
+                const dataTable = await fetchWorksheetData(worksheet, { maxRows: EXCEL_MAX_ROWS });
+                const capped = getDataSourceMode() === 'underlying' && dataTable.data.length >= EXCEL_MAX_ROWS;
+                updateRowEstimateBadge(worksheet.name, dataTable.data.length, capped);
+            } catch (error) {
+                console.log(`Could not count the rows of ${worksheet.name}:`, error.message);
+            }
+        }
+    });
+}
+
+// Render the first rows of a built sheet as an HTML table, formatting cells as the workbook will
+function renderPreviewTable(tableEl, sheet, rowCount) {
+    const headerRows = sheet.headerRows || 1;
+    const totalRowIndices = new Set((sheet.totalRows || []).map(total => total.row));
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const tbody = document.createElement('tbody');
+
+    sheet.data.slice(0, rowCount).forEach((row, r) => {
+        const tr = document.createElement('tr');
+        if (totalRowIndices.has(r)) tr.className = 'preview-total-row';
+        row.forEach((value, c) => {
+            const cell = document.createElement(r < headerRows ? 'th' : 'td');
+            const format = typeof value === 'number' ? getCellFormat(sheet, r, c) : null;
+            cell.textContent = format ? XLSX.SSF.format(format, value) : String(value ?? '');
+            if (typeof value === 'number') cell.style.textAlign = 'right';
+            tr.appendChild(cell);
+        });
+        (r < headerRows ? thead : tbody).appendChild(tr);
+    });
+
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    tableEl.innerHTML = '';
+    tableEl.appendChild(table);
+}
+
+// Export selected worksheets to Excel
+async function exportToExcel() {
+    const checkedBoxes = document.querySelectorAll('.worksheet-item input[type="checkbox"]:checked');
+    const selectedWorksheets = Array.from(checkedBoxes).map(cb => cb.value);
 
     if (selectedWorksheets.length === 0) {
         showStatus('Please select at least one worksheet to export.', 'error');
         return;
     }
 
+    const sheetMode = getSheetModeOptions();
+    if (sheetMode.mode === 'join' && sheetMode.joinKeys.length === 0) {
+        showStatus('Please pick at least one key column to join the worksheets on.', 'error');
+        return;
+    }
+    const burst = getBurstOptions();
+    if (burst.enabled && !burst.field) {
+        showStatus('Please pick the filter to burst the export by.', 'error');
+        return;
+    }
+    const scenarioMode = !!document.getElementById('scenarioEnabled')?.checked;
+    const scenarios = scenarioMode ? readScenarios() : [];
+    if (scenarioMode && burst.enabled) {
+        showStatus('Burst export and parameter scenarios cannot be combined - turn one of them off.', 'error');
+        return;
+    }
+    if (scenarioMode && scenarios.length === 0) {
+        showStatus('Please add at least one parameter scenario.', 'error');
+        return;
+    }
+
     // Get selected columns grouped by worksheet in display order
     const worksheetColumns = new Map();
 
@@ -1006,108 +2572,26 @@ async function exportToExcel() {
         const worksheetName = tabContent.id.replace('tab-', '');
         if (!selectedWorksheets.includes(worksheetName)) return;
 
-        const columnItems = tabContent.querySelectorAll('.column-item');
-        const indices = [];
-        const names = [];
-        const originalNames = [];
-        const exportTypes = [];
-        let sortField = '';
-        let sortDirection = 'asc';
-        let sortIndex = -1;
-
-        columnItems.forEach(item => {
-            const checkbox = item.querySelector('input[type="checkbox"]');
-            if (checkbox && checkbox.checked) {
-                const renameInput = item.querySelector('.column-rename-input');
-                const typeSelector = item.querySelector('.column-type-selector');
-                const originalName = renameInput ? renameInput.dataset.originalName : checkbox.value;
-                const newName = renameInput ? (renameInput.value.trim() || originalName) : originalName;
-                const exportType = typeSelector ? typeSelector.value : 'text';
-
-                // Find original index from cached columns
-                const cachedColumns = window.worksheetColumns?.get(worksheetName) || [];
-                const originalIndex = cachedColumns.findIndex(col => col.fieldName === originalName);
-
-                if (originalIndex >= 0) {
-                    indices.push(originalIndex);
-                    names.push(newName);
-                    originalNames.push(originalName);
-                    exportTypes.push(exportType);
-                }
-            }
-        });
-
-        // Capture sort selection
-        const sortSelect = tabContent.querySelector('.sort-column-selector');
-        const sortDirSelect = tabContent.querySelector('.sort-direction-selector');
-        sortField = sortSelect ? sortSelect.value : '';
-        sortDirection = sortDirSelect ? sortDirSelect.value : 'asc';
-        if (sortField) {
-            sortIndex = originalNames.findIndex(n => n === sortField);
-            if (sortIndex === -1) {
-                sortField = '';
-            }
-        }
-
         // Always add to map, even if no columns selected (to distinguish from "not configured")
-        worksheetColumns.set(worksheetName, { indices, names, originalNames, exportTypes, sortField, sortDirection, sortIndex });
+        worksheetColumns.set(worksheetName, collectColumnConfig(tabContent, worksheetName));
     });
     
     // Handle single worksheet (no tabs, direct column list)
     if (selectedWorksheets.length === 1 && worksheetColumns.size === 0) {
         const worksheetName = selectedWorksheets[0];
         const columnList = document.getElementById('columnList');
-        const columnItems = columnList.querySelectorAll('.column-item');
-        const indices = [];
-        const names = [];
-        const originalNames = [];
-        const exportTypes = [];
-        let sortField = '';
-        let sortDirection = 'asc';
-        let sortIndex = -1;
-
-        columnItems.forEach(item => {
-            const checkbox = item.querySelector('input[type="checkbox"]');
-            if (checkbox && checkbox.checked) {
-                const renameInput = item.querySelector('.column-rename-input');
-                const typeSelector = item.querySelector('.column-type-selector');
-                const originalName = renameInput ? renameInput.dataset.originalName : checkbox.value;
-                const newName = renameInput ? (renameInput.value.trim() || originalName) : originalName;
-                const exportType = typeSelector ? typeSelector.value : 'text';
-
-                // Find original index from cached columns
-                const cachedColumns = window.worksheetColumns?.get(worksheetName) || [];
-                const originalIndex = cachedColumns.findIndex(col => col.fieldName === originalName);
-
-                if (originalIndex >= 0) {
-                    indices.push(originalIndex);
-                    names.push(newName);
-                    originalNames.push(originalName);
-                    exportTypes.push(exportType);
-                }
-            }
-        });
-
-        // Capture sort selection
-        const sortSelect = columnList.querySelector('.sort-column-selector');
-        const sortDirSelect = columnList.querySelector('.sort-direction-selector');
-        sortField = sortSelect ? sortSelect.value : '';
-        sortDirection = sortDirSelect ? sortDirSelect.value : 'asc';
-        if (sortField) {
-            sortIndex = originalNames.findIndex(n => n === sortField);
-            if (sortIndex === -1) {
-                sortField = '';
-            }
-        }
+        const config = collectColumnConfig(columnList, worksheetName);
 
         // Always add to map, even if no columns selected (to distinguish from "not configured")
-        worksheetColumns.set(worksheetName, { indices, names, originalNames, exportTypes, sortField, sortDirection, sortIndex });
-        if (indices.length === 0) {
+        worksheetColumns.set(worksheetName, config);
+        if (config.indices.length === 0) {
             console.log(`Single worksheet mode: No columns selected for ${worksheetName}, will skip this worksheet`);
         } else {
-            console.log(`Single worksheet mode: ${names.length} columns selected for ${worksheetName}`, { indices, names });
+            console.log(`Single worksheet mode: ${config.names.length} columns selected for ${worksheetName}`, { indices: config.indices, names: config.names });
         }
-    }    // Save column selection config temporarily BEFORE clearing cache
+    }
+
+    // Save column selection config temporarily BEFORE clearing cache
     console.log('Saving user column selections before export...');
     const columnSelectionConfig = new Map(worksheetColumns);
     
@@ -1130,12 +2614,14 @@ async function exportToExcel() {
     });
     
     // Get aggregation option (default is to aggregate/sum measures, checkbox disables aggregation)
-    const includeDuplicateRows = document.getElementById('includeDuplicateRows')?.checked || false;
-    const aggregateData = !includeDuplicateRows; // Default: aggregate measures by dimensions
+    const { aggregateData, includeNullsAcrossDimensions, selectedMarksOnly } = getDataOptions();
+    const includeDuplicateRows = !aggregateData;
     const includeDashboardFilters = !!document.getElementById('includeDashboardFilters')?.checked; // default unchecked
-    const includeNullsAcrossDimensions = document.getElementById('includeNullsAcrossDimensions')?.checked || false; // Optional user toggle (add checkbox with this id to UI)
+    const includeContextHeader = !!document.getElementById('includeContextHeader')?.checked;
+    const exportFormat = getExportFormat();
 
     console.log('Export options:', {
+        format: exportFormat,
         worksheets: selectedWorksheets.length,
         worksheetColumns: Array.from(worksheetColumns.entries()).map(([name, cols]) => `${name}: ${cols.names.length} columns`),
         aggregateData: aggregateData,
@@ -1145,359 +2631,565 @@ async function exportToExcel() {
     });
 
     setLoading(true);
+    exportCancelled = false;
+    updateProgress('Exporting worksheets...', 0);
     showStatus('Exporting worksheets...', 'info');
 
     try {
-        const workbook = XLSX.utils.book_new();
+        const job = {
+            format: exportFormat,
+            baseName: await buildExportFilename(getFilenamePattern(), selectedWorksheets),
+            delimited: exportFormat === 'xlsx' ? null : getDelimitedOptions(exportFormat),
+            options: { aggregateData, includeNullsAcrossDimensions },
+            sheetMode,
+            filterSummary: null,
+            context: null,
+            sheets: []
+        };
 
         // Add Dashboard Filters summary sheet if requested
         if (includeDashboardFilters) {
-            showStatus('Collecting dashboard filters...', 'info');
-            const filterSummary = await collectDashboardFilters();
-            if (filterSummary && filterSummary.length > 0) {
-                const filterSheet = XLSX.utils.aoa_to_sheet(filterSummary);
-                
-                // Set column widths
-                filterSheet['!cols'] = [
-                    { wch: 30 },  // Filter Name
-                    { wch: 50 }   // Values
-                ];
-                
-                XLSX.utils.book_append_sheet(workbook, filterSheet, 'Dashboard Filters');
-                console.log('Added Dashboard Filters sheet');
+            updateProgress('Collecting dashboard filters...');
+            job.filterSummary = await collectDashboardFilters();
+        }
+
+        // The context block is written above each sheet's table (Excel only - it would break CSV headers)
+        const addContext = includeContextHeader && exportFormat === 'xlsx';
+        if (addContext) {
+            job.context = await collectExportContext();
+        }
+
+        const fetchOptions = { selectedMarksOnly, addContext };
+
+        if (burst.enabled) {
+            const burstResult = await runBurstExport(job, burst, selectedWorksheets, columnSelectionConfig, fetchOptions);
+            const skippedMsg = burstResult.emptyValues.length > 0 ? `; no data for: ${burstResult.emptyValues.join(', ')}` : '';
+            const errorMsg = burstResult.errors.length > 0 ? `; failed: ${burstResult.errors.map(e => `${e.name} (${e.message})`).join(', ')}` : '';
+            showStatus(`${errorMsg ? '⚠' : '✓'} Burst exported ${burstResult.exportedValues} value(s) of ${burst.field} to ${burstResult.filename}${skippedMsg}${errorMsg} - filter restored`,
+                errorMsg ? 'warning' : 'success');
+            return;
+        }
+
+        if (scenarioMode) {
+            const scenarioResult = await runScenarioExport(job, scenarios, selectedWorksheets, columnSelectionConfig, fetchOptions);
+            const errorMsg = scenarioResult.errors.length > 0 ? `; failed: ${scenarioResult.errors.map(e => `${e.name} (${e.message})`).join(', ')}` : '';
+            showStatus(`${errorMsg ? '⚠' : '✓'} Exported ${scenarios.length} scenario(s) with a comparison to ${scenarioResult.filename}${errorMsg} - parameters restored`,
+                errorMsg ? 'warning' : 'success');
+            return;
+        }
+
+        const { sheets, oversized, withoutSelection } = await fetchExportSheets(selectedWorksheets, columnSelectionConfig, fetchOptions);
+        job.sheets = sheets;
+
+        if (job.sheets.length === 0 && withoutSelection.length > 0) {
+            throw new Error('No marks are selected in the chosen worksheets - select marks or turn off "Selected marks only"');
+        }
+        if (oversized.length > 0) {
+            // Shown in the status line as well, since the job's own progress messages replace the overlay text
+            const message = `⚠ ${oversized.join(', ')} may exceed Excel's ${EXCEL_MAX_ROWS.toLocaleString()}-row limit - oversized sheets will be split into continuation sheets`;
+            showStatus(message, 'warning');
+            updateProgress(message);
+        }
+
+        const result = await runExportJob(job);
+        downloadBlob(new Blob([result.buffer], { type: result.mimeType }), result.filename);
+
+        if (result.errors.length > 0) {
+            showStatus(`⚠ Exported to ${result.filename}, but failed: ${result.errors.map(e => `${e.name} (${e.message})`).join(', ')}`, 'warning');
+        } else if (result.splits && result.splits.length > 0) {
+            const splitList = result.splits.map(split => `${split.name} (${split.rows.toLocaleString()} rows → ${split.parts} sheets)`).join(', ');
+            showStatus(`⚠ Exported to ${result.filename}; too many rows for one Excel sheet, split into continuation sheets: ${splitList}`, 'warning');
+        } else {
+            const aggregationMsg = (aggregateData ? ' (aggregated - measures rolled up by dimensions)' : ' (includes all duplicate rows)') +
+                (sheetMode.mode === 'combine' ? ', combined into one sheet' : '') +
+                (sheetMode.mode === 'join' ? `, joined on ${sheetMode.joinKeys.join(', ')} (${sheetMode.joinType})` : '') +
+                (selectedMarksOnly ? ', selected marks only' : '') +
+                (withoutSelection.length > 0 ? `; skipped (no marks selected): ${withoutSelection.join(', ')}` : '');
+            showStatus(`✓ Successfully exported ${result.exportedCount} worksheet(s) to ${result.filename}${aggregationMsg}`, 'success');
+        }
+    } catch (error) {
+        if (exportCancelled) {
+            showStatus('Export cancelled', 'warning');
+        } else {
+            console.error('Export error:', error);
+            showStatus(`✗ Error exporting: ${error.message}`, 'error');
+        }
+    } finally {
+        setLoading(false);
+    }
+}
+
+// Fetch the selected worksheets' data for an export job (the Tableau API is only available on the
+// main thread; the worker does the rest). options: { selectedMarksOnly, addContext, progressLabel, progressRange }
+async function fetchExportSheets(selectedWorksheets, columnSelectionConfig, options) {
+    const { selectedMarksOnly, addContext, progressLabel = '', progressRange = [0, 30] } = options;
+    const sheets = [];
+    const oversized = [];
+    const withoutSelection = [];
+
+    for (let i = 0; i < selectedWorksheets.length; i++) {
+        if (exportCancelled) throw new Error('Export cancelled');
+
+        const worksheetName = selectedWorksheets[i];
+        const worksheet = worksheets.find(ws => ws.name === worksheetName);
+
+        if (!worksheet) continue;
+
+        const percent = progressRange[0] + (i / selectedWorksheets.length) * (progressRange[1] - progressRange[0]);
+        updateProgress(`${progressLabel}Fetching data: ${worksheetName}...`, Math.round(percent));
+
+        try {
+            // Force fetch fresh data respecting current dashboard filters
+            console.log(`Fetching fresh data for ${worksheetName} with current filters applied...`);
+            const dataTable = await fetchWorksheetData(worksheet, { selectedMarksOnly });
+            if (selectedMarksOnly && dataTable.data.length === 0) {
+                console.log(`⊗ Skipped worksheet "${worksheetName}" - no marks selected`);
+                withoutSelection.push(worksheetName);
+                continue;
             }
+            // Source rows are an upper bound for the exported rows (aggregation only reduces them).
+            // The badge shows the whole worksheet, not a selection or one burst value or scenario
+            if (!selectedMarksOnly && !steppedExportInProgress) updateRowEstimateBadge(worksheetName, dataTable.data.length);
+            const rowWarning = describeRowLimit(dataTable.data.length);
+            if (rowWarning) {
+                console.log(`${worksheetName}: ${dataTable.data.length} rows -${rowWarning}`);
+                oversized.push(`${worksheetName} (~${dataTable.data.length.toLocaleString()} rows)`);
+            }
+            sheets.push({
+                name: worksheetName,
+                dataTable: toPlainDataTable(dataTable),
+                config: columnSelectionConfig.get(worksheetName),
+                filters: addContext ? await describeWorksheetFilters(worksheet) : ''
+            });
+        } catch (error) {
+            console.error('Error fetching worksheet', worksheetName, ':', error);
+            showStatus(`Error processing ${worksheetName}: ${error.message}`, 'error');
         }
+    }
 
-        for (const worksheetName of selectedWorksheets) {
-            const worksheet = worksheets.find(ws => ws.name === worksheetName);
+    return { sheets, oversized, withoutSelection };
+}
+
+// Read the burst options: step an export through the values of a categorical filter
+function getBurstOptions() {
+    return {
+        enabled: !!document.getElementById('burstEnabled')?.checked,
+        field: document.getElementById('burstField')?.value || document.getElementById('burstField')?.dataset.selected || '',
+        output: document.getElementById('burstOutput')?.value || 'sheets'
+    };
+}
 
-            if (!worksheet) continue;
+// Show the burst options while burst export is on and list the filters it can step through
+function updateBurstOptions() {
+    const enabled = !!document.getElementById('burstEnabled')?.checked;
+    const burstOptions = document.getElementById('burstOptions');
+    if (burstOptions) {
+        burstOptions.style.display = enabled ? 'block' : 'none';
+    }
+    if (enabled) loadBurstFields();
+}
 
-            showStatus(`Processing: ${worksheetName}...`, 'info');
+// Fill the burst filter picker with the categorical filters of the dashboard's worksheets.
+// The chosen field is kept in the picker's data-selected attribute so presets can set it before the list loads.
+async function loadBurstFields() {
+    const fieldSelect = document.getElementById('burstField');
+    if (!fieldSelect) return;
+    if (fieldSelect.value) fieldSelect.dataset.selected = fieldSelect.value;
 
-            try {
-                // Force fetch fresh data respecting current dashboard filters
-                console.log(`Fetching fresh data for ${worksheetName} with current filters applied...`);
-                const dataTable = await worksheet.getSummaryDataAsync();
-                console.log(`Retrieved ${dataTable.data.length} rows for ${worksheetName}`);
-                
-                // Include all columns (including AGG columns like running sums)
-                const filteredColumnIndices = [];
-                const filteredColumnNames = [];
-                dataTable.columns.forEach((col, idx) => {
-                    filteredColumnIndices.push(idx);
-                    filteredColumnNames.push(col.fieldName);
-                });
-                console.log(`Total columns available: ${dataTable.columns.length}`);
-
-                let data;
-
-                // Get columns specific to this worksheet from saved config
-                const wsColumns = columnSelectionConfig.get(worksheetName);
-
-                if (wsColumns && wsColumns.originalNames && wsColumns.originalNames.length > 0) {
-                    // User has selected specific columns - match by field name (not index)
-                    console.log(`Attempting to match ${wsColumns.originalNames.length} selected columns by name for ${worksheetName}`);
-                    const mappedIndices = [];
-                    const mappedNames = [];
-                    
-                    // Match selected columns by original field name in fresh data
-                    const mappedTypes = [];
-                    wsColumns.originalNames.forEach((originalName, idx) => {
-                        // Find this column in the fresh dataTable by field name
-                        const freshColIndex = dataTable.columns.findIndex(col => col.fieldName === originalName);
-                        
-                        if (freshColIndex >= 0) {
-                            // Column exists in fresh data (including AGG columns)
-                            mappedIndices.push(freshColIndex);
-                            mappedNames.push(wsColumns.names[idx]);
-                            mappedTypes.push(wsColumns.exportTypes ? wsColumns.exportTypes[idx] : 'text');
-                            console.log(`  ✓ Matched "${originalName}" → index ${freshColIndex}`);
-                        } else {
-                            console.log(`  ✗ Column "${originalName}" not found in fresh data`);
-                        }
-                    });
-                    
-                    if (mappedIndices.length > 0) {
-                        console.log(`Exporting ${mappedIndices.length} matched columns for ${worksheetName}`, { mappedNames });
-                        data = filterColumns(dataTable, mappedIndices, mappedNames, aggregateData, mappedTypes, includeNullsAcrossDimensions);
-                    } else {
-                        console.log('No columns matched in fresh data, skipping worksheet (no valid columns selected)');
-                        data = null; // Skip this worksheet
-                    }
-                } else if (wsColumns && wsColumns.originalNames && wsColumns.originalNames.length === 0) {
-                    // User explicitly deselected all columns - skip this worksheet
-                    console.log(`No columns selected for ${worksheetName}, skipping worksheet export`);
-                    data = null;
-                } else {
-                    // Column selection UI wasn't used or worksheet wasn't in config - export all non-AGG columns
-                    console.log(`No column selection config for ${worksheetName}, exporting all non-AGG columns (aggregate: ${aggregateData})`);
-                    data = filterColumns(dataTable, filteredColumnIndices, filteredColumnNames, aggregateData, undefined, includeNullsAcrossDimensions);
-                }
+    const fields = [];
+    for (const ws of worksheets) {
+        try {
+            const filters = await ws.getFiltersAsync();
+            filters.filter(filter => filter.filterType === 'categorical' && !fields.includes(filter.fieldName))
+                .forEach(filter => fields.push(filter.fieldName));
+        } catch (error) {
+            console.log(`Could not get filters for ${ws.name}:`, error.message);
+        }
+    }
+
+    fieldSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = fields.length > 0 ? 'Choose a filter...' : 'No categorical filters on this dashboard';
+    fieldSelect.appendChild(placeholder);
+    fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field;
+        fieldSelect.appendChild(option);
+    });
+    if (fields.includes(fieldSelect.dataset.selected)) fieldSelect.value = fieldSelect.dataset.selected;
+}
 
-                // Apply sort if configured
-                if (data && data.length > 1 && wsColumns && wsColumns.sortIndex >= 0) {
-                    const sortType = wsColumns.exportTypes ? wsColumns.exportTypes[wsColumns.sortIndex] : 'text';
-                    data = sortDataRows(data, wsColumns.sortIndex, wsColumns.sortDirection || 'asc', sortType);
-                }
+// Export once per value of a categorical filter, then put the filter back the way it was.
+// burst.output 'sheets' writes one workbook with a sheet per value (and worksheet); 'files' writes a ZIP
+// with one file per value. Returns { filename, exportedValues, emptyValues, errors }.
+async function runBurstExport(job, burst, selectedWorksheets, columnSelectionConfig, fetchOptions) {
+    // The filter may be on several worksheets (or shared by them); each one is stepped and restored
+    const filtered = [];
+    for (const ws of dashboard.worksheets) {
+        try {
+            const filter = (await ws.getFiltersAsync()).find(f => f.fieldName === burst.field && f.filterType === 'categorical');
+            if (filter) filtered.push({ worksheet: ws, filter });
+        } catch (error) {
+            console.log(`Could not get filters for ${ws.name}:`, error.message);
+        }
+    }
+    if (filtered.length === 0) {
+        throw new Error(`No worksheet has a "${burst.field}" filter`);
+    }
+
+    const domain = await filtered[0].filter.getDomainAsync(tableau.FilterDomainType.Relevant);
+    const values = domain.values;
+    console.log(`Burst export over ${values.length} values of ${burst.field}`);
+    if (values.length === 0) {
+        throw new Error(`The "${burst.field}" filter has no values to step through`);
+    }
 
-                if (data && data.length > 0) {
-                    const sheetName = sanitizeSheetName(worksheetName);
-                    const ws = XLSX.utils.aoa_to_sheet(data);
+    const originals = filtered.map(({ worksheet, filter }) => ({
+        worksheet,
+        isAllSelected: !!filter.isAllSelected,
+        isExcludeMode: !!filter.isExcludeMode,
+        values: (filter.appliedValues || []).map(v => v.value)
+    }));
+
+    const zip = burst.output === 'files' ? new JSZip() : null;
+    // File names are expanded per value, once its filter is applied, so {filter:...} and {worksheet}
+    // describe that file; the value is appended unless the template already names the burst filter
+    const pattern = getFilenamePattern();
+    const patternNamesValue = pattern.includes(`{filter:${burst.field}}`);
+    const usedFileNames = new Set();
+    const burstSheets = [];
+    const emptyValues = [];
+    const errors = [];
+    let exportedValues = 0;
+
+    steppedExportInProgress = true;
+    try {
+        for (let i = 0; i < values.length; i++) {
+            if (exportCancelled) throw new Error('Export cancelled');
+
+            const label = String(values[i].formattedValue ?? values[i].value);
+            const progressLabel = `${burst.field} = ${label} (${i + 1} of ${values.length}): `;
+            updateProgress(`${progressLabel}Applying filter...`, Math.round((i / values.length) * 80));
+            for (const { worksheet } of filtered) {
+                await worksheet.applyFilterAsync(burst.field, [values[i].value], tableau.FilterUpdateType.Replace);
+            }
 
-                    const colWidths = calculateColumnWidths(data);
-                    ws['!cols'] = colWidths;
+            const range = [Math.round((i / values.length) * 80), Math.round(((i + 1) / values.length) * 80)];
+            const { sheets } = await fetchExportSheets(selectedWorksheets, columnSelectionConfig, { ...fetchOptions, progressLabel, progressRange: range });
+            if (sheets.length === 0 || sheets.every(sheet => sheet.dataTable.data.length === 0)) {
+                console.log(`⊗ No data for ${burst.field} = ${label}`);
+                emptyValues.push(label);
+                continue;
+            }
 
-                    XLSX.utils.book_append_sheet(workbook, ws, sheetName);
-                    console.log(`✓ Added worksheet "${sheetName}" to export`);
-                } else if (data === null) {
-                    console.log(`⊗ Skipped worksheet "${worksheetName}" - no columns selected`);
+            if (zip) {
+                // Each value becomes its own file, with its own name and filter summary
+                const expanded = await buildExportFilename(pattern, sheets.map(sheet => sheet.name));
+                const valueName = patternNamesValue ? expanded : sanitizeExportFilename(`${expanded}_${label}`);
+                const valueJob = {
+                    ...job,
+                    baseName: makeUniqueFileName(valueName, usedFileNames),
+                    filterSummary: job.filterSummary ? await collectDashboardFilters() : null,
+                    sheets
+                };
+                const result = await runExportJob(valueJob);
+                zip.file(result.filename, result.buffer);
+                result.errors.forEach(error => errors.push({ name: `${error.name} (${label})`, message: error.message }));
+            } else {
+                // One tab per value, or per value and worksheet when several worksheets are selected
+                sheets.forEach(sheet => {
+                    const sheetName = (sheet.config && sheet.config.sheetName) || sheet.name;
+                    burstSheets.push({
+                        ...sheet,
+                        name: `${sheet.name} (${label})`,
+                        tabName: selectedWorksheets.length > 1 ? `${label} - ${sheetName}` : label
+                    });
+                });
+            }
+            exportedValues++;
+        }
+    } finally {
+        updateProgress(`Restoring the ${burst.field} filter...`);
+        for (const original of originals) {
+            try {
+                if (original.isAllSelected) {
+                    await original.worksheet.clearFilterAsync(burst.field);
                 } else {
-                    console.log(`⚠ Worksheet "${worksheetName}" has no data to export`);
+                    await original.worksheet.applyFilterAsync(burst.field, original.values, tableau.FilterUpdateType.Replace,
+                        { isExcludeMode: original.isExcludeMode });
                 }
             } catch (error) {
-                console.error('Error processing worksheet', worksheetName, ':', error);
-                showStatus(`Error processing ${worksheetName}: ${error.message}`, 'error');
+                console.error(`Could not restore the ${burst.field} filter on ${original.worksheet.name}:`, error);
+                showStatus(`⚠ Could not restore the ${burst.field} filter on ${original.worksheet.name}: ${error.message}`, 'warning');
             }
         }
+        previewDataCache.clear();
+        steppedExportInProgress = false;
+    }
+
+    if (exportedValues === 0) {
+        throw new Error(`No data for any value of ${burst.field}`);
+    }
+
+    if (zip) {
+        updateProgress('Writing ZIP...', 90);
+        const filename = `${job.baseName}.zip`;
+        downloadBlob(await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }), filename);
+        return { filename, exportedValues, emptyValues, errors };
+    }
 
-        // Generate Excel file
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const filename = `Tableau_Export_${timestamp}.xlsx`;
+    const result = await runExportJob({ ...job, sheets: burstSheets });
+    downloadBlob(new Blob([result.buffer], { type: result.mimeType }), result.filename);
+    return { filename: result.filename, exportedValues, emptyValues, errors: errors.concat(result.errors) };
+}
 
-        XLSX.writeFile(workbook, filename);
+// Settings key holding the dashboard's parameter scenarios
+const SCENARIOS_KEY = 'parameterScenarios';
 
-        const aggregationMsg = aggregateData ? ' (aggregated - measures summed by dimensions)' : ' (includes all duplicate rows)';
-        showStatus(`✓ Successfully exported ${selectedWorksheets.length} worksheet(s) to ${filename}${aggregationMsg}`, 'success');
+// Read the saved scenarios ([{ name, values: { parameter name: value } }])
+function loadScenarios() {
+    try {
+        const raw = tableau.extensions.settings.get(SCENARIOS_KEY);
+        const scenarios = raw ? JSON.parse(raw) : [];
+        return Array.isArray(scenarios) ? scenarios : [];
     } catch (error) {
-        console.error('Export error:', error);
-        showStatus(`✗ Error exporting: ${error.message}`, 'error');
-    } finally {
-        setLoading(false);
+        console.log('Could not read parameter scenarios:', error.message);
+        return [];
     }
 }
-// Filter columns and optionally aggregate data
-function filterColumns(
-    dataTable,
-    selectedIndices,
-    selectedNames,
-    aggregateData,
-    exportTypes,
-    includeNullsAcrossDimensions = false
-) {
-    const data = [];
-    
-    // Add headers (selected columns only)
-    data.push(selectedNames);
-
-    // Identify all dimension/measure columns in the worksheet (not just selected)
-    const dimensionIndicesAll = [];
-    const measureIndicesAll = [];
-    dataTable.columns.forEach((col, idx) => {
-        const dtype = (col.dataType || '').toLowerCase();
-        if (dtype.includes('int') || dtype.includes('float') || dtype.includes('real') || dtype === 'number') {
-            measureIndicesAll.push(idx);
-        } else {
-            dimensionIndicesAll.push(idx);
-        }
-    });
-
-    const isNullish = (s) => {
-        const v = String(s || '').trim();
-        return v === '' || /^null$/i.test(v) || /^\(null\)$/i.test(v) || /^\(blank\)$/i.test(v);
-    };
 
-    const isTotalLabel = (s) => {
-        const v = String(s || '').trim();
-        return /^total$/i.test(v) || /^grand total$/i.test(v);
-    };
+// Scenarios as currently entered in the scenario editor; unnamed scenarios are numbered
+// (repeated names are told apart when the export names the sheets)
+function readScenarios() {
+    return Array.from(document.querySelectorAll('#scenarioList .scenario-row')).map((row, i) => {
+        const values = {};
+        row.querySelectorAll('.scenario-param').forEach(control => {
+            if (control.value !== '') values[control.dataset.parameter] = control.value;
+        });
+        const name = row.querySelector('.scenario-name')?.value.trim() || `Scenario ${i + 1}`;
+        return { name, values };
+    });
+}
 
-    const shouldSkipRow = (rowData) => {
-        if (!rowData) return false;
+// Store the edited scenarios in the workbook settings
+function saveScenarios() {
+    try {
+        tableau.extensions.settings.set(SCENARIOS_KEY, JSON.stringify(readScenarios()));
+        scheduleSettingsSave();
+    } catch (error) {
+        console.error('Could not save parameter scenarios:', error);
+    }
+}
 
-        // Quick check: if user allows nulls, only drop explicit total labels
-        const dimValsAll = dimensionIndicesAll.map(di => {
-            const cell = rowData[di];
-            return (cell && (cell.formattedValue ?? cell.value)) || '';
-        });
+// Show the scenario editor while parameter scenarios are on
+function updateScenarioOptions() {
+    const enabled = !!document.getElementById('scenarioEnabled')?.checked;
+    const scenarioOptions = document.getElementById('scenarioOptions');
+    if (scenarioOptions) {
+        scenarioOptions.style.display = enabled ? 'block' : 'none';
+    }
+    if (enabled) renderScenarioList();
+}
 
-        const hasMeasureValue = measureIndicesAll.length === 0 ? true : measureIndicesAll.some(mi => {
-            const cell = rowData[mi];
-            if (!cell) return false;
-            const v = cell.value;
-            const fv = cell.formattedValue;
-            return (v !== null && v !== undefined && v !== '') || (fv !== null && fv !== undefined && fv !== '');
-        });
+// Build the scenario editor: one row per saved scenario with a value control per dashboard parameter
+async function renderScenarioList() {
+    const list = document.getElementById('scenarioList');
+    if (!list) return;
 
-        if (!hasMeasureValue) return false;
+    let parameters = [];
+    try {
+        parameters = await dashboard.getParametersAsync();
+    } catch (error) {
+        console.log('Could not get parameters:', error.message);
+    }
+    if (parameters.length === 0) {
+        list.innerHTML = '<p style="color: #666; font-size: 13px;">This dashboard has no parameters.</p>';
+        return;
+    }
 
-        // Always drop rows explicitly labeled totals
-        if (dimValsAll.some(isTotalLabel)) return true;
+    list.innerHTML = '';
+    const saved = loadScenarios();
+    (saved.length > 0 ? saved : [{ name: '', values: {} }]).forEach(scenario => {
+        list.appendChild(createScenarioRow(parameters, scenario));
+    });
+    list.onchange = saveScenarios;
+}
 
-        if (includeNullsAcrossDimensions) {
-            return false; // user chose to keep null/blank dimension rows
+// One scenario: a name, a value per parameter (blank keeps the current value) and a remove button
+function createScenarioRow(parameters, scenario) {
+    const row = document.createElement('div');
+    row.className = 'scenario-row';
+    row.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px; align-items: center; padding: 6px 0; border-bottom: 1px solid #e1e8ed;';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'scenario-name';
+    nameInput.placeholder = 'Scenario name';
+    nameInput.maxLength = 31;
+    nameInput.value = scenario.name || '';
+    nameInput.style.cssText = 'flex: 1 1 100%; padding: 6px; font-size: 13px; border: 1px solid #d1d9e0; border-radius: 4px;';
+    row.appendChild(nameInput);
+
+    parameters.forEach(param => {
+        const label = document.createElement('span');
+        label.textContent = `${param.name}:`;
+        label.style.fontSize = '12px';
+
+        // List parameters offer their allowed values; others take free text
+        const allowed = param.allowableValues && param.allowableValues.type === 'list' ? param.allowableValues.allowableValues || [] : null;
+        const control = document.createElement(allowed ? 'select' : 'input');
+        control.className = 'scenario-param';
+        control.dataset.parameter = param.name;
+        control.style.cssText = 'flex: 1; min-width: 80px; padding: 4px; font-size: 12px;';
+        if (allowed) {
+            [{ value: '', formattedValue: '(current)' }, ...allowed].forEach(dataValue => {
+                const option = document.createElement('option');
+                option.value = dataValue.value === '' ? '' : String(dataValue.value);
+                option.textContent = dataValue.formattedValue ?? String(dataValue.value);
+                control.appendChild(option);
+            });
+        } else {
+            control.type = 'text';
+            control.placeholder = param.currentValue.formattedValue ?? '';
         }
+        control.value = scenario.values?.[param.name] ?? '';
 
-        // Drop any row with blank/null in any dimension to avoid subtotal/null buckets
-        if (dimValsAll.some(isNullish)) return true;
-
-        // Drop mixed subtotal rows (some dims null, some not)
-        const hasNullDim = dimValsAll.some(isNullish);
-        const hasNonNullDim = dimValsAll.some(v => !isNullish(v));
-        if (hasNullDim && hasNonNullDim) return true;
+        row.appendChild(label);
+        row.appendChild(control);
+    });
 
-        return false;
-    };
-    
-    // Helper function to format value based on export type
-    const formatValue = (value, formattedValue, exportType) => {
-        if (!exportType || exportType === 'text') {
-            return formattedValue;
-        }
-        
-        if (exportType === 'number') {
-            const numValue = typeof value === 'number' ? value : parseFloat(value);
-            return isNaN(numValue) ? formattedValue : numValue;
-        }
-        
-        if (exportType === 'date' || exportType === 'date-full') {
-            // Check if it's already in Mon-YYYY format or similar short date
-            const shortDatePattern = /^[A-Za-z]{3}-\d{4}$/; // Nov-2024
-            const monthYearPattern = /^[A-Za-z]+ \d{4}$/; // November 2024
-            
-            if (exportType === 'date' && shortDatePattern.test(formattedValue)) {
-                // Already in desired format
-                return formattedValue;
-            } else if (exportType === 'date' && monthYearPattern.test(formattedValue)) {
-                // Convert "November 2024" to "Nov-2024"
-                const parts = formattedValue.split(' ');
-                const monthMap = {
-                    'January': 'Jan', 'February': 'Feb', 'March': 'Mar', 'April': 'Apr',
-                    'May': 'May', 'June': 'Jun', 'July': 'Jul', 'August': 'Aug',
-                    'September': 'Sep', 'October': 'Oct', 'November': 'Nov', 'December': 'Dec'
-                };
-                const shortMonth = monthMap[parts[0]] || parts[0].substring(0, 3);
-                return `${shortMonth}-${parts[1]}`;
-            } else if (exportType === 'date' && value instanceof Date) {
-                // Format Date object as Mon-YYYY
-                const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                return `${monthNames[value.getMonth()]}-${value.getFullYear()}`;
-            }
-            // For date-full or other date formats, return as-is
-            return formattedValue;
-        }
-        
-        return formattedValue;
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'worksheet-move-btn';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove this scenario';
+    removeBtn.onclick = () => {
+        row.remove();
+        saveScenarios();
     };
-    
-    if (aggregateData) {
-        // Aggregate data: group by dimensions and sum measures
-        // First, identify which columns are dimensions vs measures
-        const columnTypes = selectedIndices.map(colIndex => {
-            const dataType = dataTable.columns[colIndex].dataType.toLowerCase();
-            const isDimension = !(dataType.includes('int') || dataType.includes('float') || dataType.includes('real'));
-            return { index: colIndex, isDimension };
-        });
-        
-        const dimensionIndices = columnTypes.filter(c => c.isDimension).map(c => c.index);
-        const measureIndices = columnTypes.filter(c => !c.isDimension).map(c => c.index);
-        
-        console.log('Aggregating - Dimensions:', dimensionIndices.length, 'Measures:', measureIndices.length);
-        
-        if (dimensionIndices.length > 0 && measureIndices.length > 0) {
-            // Group by selected dimensions and aggregate measures
-            const aggregated = new Map();
-            
-            for (let i = 0; i < dataTable.data.length; i++) {
-                // Skip subtotal/blank/null rows unless allowed
-                if (shouldSkipRow(dataTable.data[i])) continue;
-
-                // Build dimension key using selected dimensions only
-                const dimValues = [];
-                for (const dimIndex of dimensionIndices) {
-                    dimValues.push(dataTable.data[i][dimIndex].formattedValue);
+    row.appendChild(removeBtn);
+    return row;
+}
+
+// Add an empty scenario to the editor
+async function addScenario() {
+    const list = document.getElementById('scenarioList');
+    if (!list) return;
+    try {
+        const parameters = await dashboard.getParametersAsync();
+        if (parameters.length === 0) return;
+        list.appendChild(createScenarioRow(parameters, { name: '', values: {} }));
+        saveScenarios();
+    } catch (error) {
+        console.error('Could not add a scenario:', error);
+        showStatus('Could not read the dashboard parameters: ' + error.message, 'error');
+    }
+}
+
+// Export the selected worksheets once per scenario (one sheet each) plus a comparison sheet per worksheet
+// that joins the scenarios side by side on the worksheet's dimensions, then put the parameters back.
+// Returns { filename, errors }.
+async function runScenarioExport(job, scenarios, selectedWorksheets, columnSelectionConfig, fetchOptions) {
+    const parameters = await dashboard.getParametersAsync();
+    const originals = parameters.map(param => ({ param, value: param.currentValue.value }));
+    const scenarioSheets = [];
+    // Scenario names label the sheets and tell them apart, so they are made unique the way tab names are
+    const scenarioNames = makeUniqueSheetNames(scenarios.map(scenario => scenario.name));
+    scenarios = scenarios.map((scenario, i) => ({ ...scenario, name: scenarioNames[i] }));
+
+    steppedExportInProgress = true;
+    try {
+        for (let i = 0; i < scenarios.length; i++) {
+            if (exportCancelled) throw new Error('Export cancelled');
+
+            const scenario = scenarios[i];
+            const progressLabel = `${scenario.name} (${i + 1} of ${scenarios.length}): `;
+            updateProgress(`${progressLabel}Setting parameters...`, Math.round((i / scenarios.length) * 80));
+            const applied = [];
+            // Parameters the scenario leaves blank go back to their value at export time, not the previous scenario's
+            if (i > 0) {
+                for (const original of originals) {
+                    if (original.param.name in scenario.values) continue;
+                    const newValue = await original.param.changeValueAsync(original.value);
+                    applied.push({ name: original.param.name, value: newValue.value });
                 }
-                const key = dimValues.join('|||');
-                
-                if (!aggregated.has(key)) {
-                    aggregated.set(key, {
-                        dimensions: dimValues,
-                        measures: new Array(measureIndices.length).fill(0),
-                        count: 0
-                    });
+            }
+            for (const [name, value] of Object.entries(scenario.values)) {
+                const param = parameters.find(p => p.name === name);
+                if (!param) {
+                    console.log(`Parameter "${name}" no longer exists - ignored in ${scenario.name}`);
+                    continue;
                 }
-                
-                const group = aggregated.get(key);
-                measureIndices.forEach((measureIndex, idx) => {
-                    const value = dataTable.data[i][measureIndex].value;
-                    const numValue = typeof value === 'number' ? value : parseFloat(value) || 0;
-                    group.measures[idx] += numValue;
-                });
-                group.count++;
+                const newValue = await param.changeValueAsync(value);
+                applied.push({ name, value: newValue.value });
             }
-            
-            // Build output rows in the correct column order
-            aggregated.forEach(group => {
-                const row = new Array(selectedIndices.length);
-                
-                // Place dimensions in their positions
-                dimensionIndices.forEach((dimIndex, idx) => {
-                    const posInSelected = selectedIndices.indexOf(dimIndex);
-                    const exportType = exportTypes ? exportTypes[posInSelected] : 'text';
-                    row[posInSelected] = formatValue(group.dimensions[idx], group.dimensions[idx], exportType);
+            updateProgress(`${progressLabel}Waiting for the worksheets to update...`);
+            await waitForParameterValues(applied);
+
+            const range = [Math.round((i / scenarios.length) * 80), Math.round(((i + 1) / scenarios.length) * 80)];
+            const { sheets } = await fetchExportSheets(selectedWorksheets, columnSelectionConfig, { ...fetchOptions, progressLabel, progressRange: range });
+            sheets.forEach(sheet => {
+                const sheetName = (sheet.config && sheet.config.sheetName) || sheet.name;
+                scenarioSheets.push({
+                    ...sheet,
+                    name: `${sheet.name} (${scenario.name})`,
+                    tabName: selectedWorksheets.length > 1 ? `${scenario.name} - ${sheetName}` : scenario.name
                 });
-                
-                // Place aggregated measures in their positions
-                measureIndices.forEach((measureIndex, idx) => {
-                    const posInSelected = selectedIndices.indexOf(measureIndex);
-                    const exportType = exportTypes ? exportTypes[posInSelected] : 'number';
-                    row[posInSelected] = formatValue(group.measures[idx], group.measures[idx], exportType);
-                });
-                
-                data.push(row);
             });
-            
-            console.log(`Aggregated from ${dataTable.data.length} rows to ${data.length - 1} grouped rows`);
-        } else {
-            // No measures to aggregate or no dimensions to group by - just get distinct rows
-            const distinctRows = new Set();
-            
-            for (let i = 0; i < dataTable.data.length; i++) {
-                if (shouldSkipRow(dataTable.data[i])) continue;
-
-                const row = [];
-                selectedIndices.forEach((colIndex, idx) => {
-                    const cellData = dataTable.data[i][colIndex];
-                    const exportType = exportTypes ? exportTypes[idx] : 'text';
-                    row.push(formatValue(cellData.value, cellData.formattedValue, exportType));
-                });
-                const rowKey = row.join('|||');
-                if (!distinctRows.has(rowKey)) {
-                    distinctRows.add(rowKey);
-                    data.push(row);
-                }
+        }
+    } finally {
+        updateProgress('Restoring parameters...');
+        for (const original of originals) {
+            try {
+                await original.param.changeValueAsync(original.value);
+            } catch (error) {
+                console.error(`Could not restore parameter ${original.param.name}:`, error);
+                showStatus(`⚠ Could not restore parameter ${original.param.name}: ${error.message}`, 'warning');
             }
-            
-            console.log(`No aggregation needed - ${data.length - 1} distinct rows`);
         }
-    } else {
-        // Export all rows with selected columns (no aggregation)
-        for (let i = 0; i < dataTable.data.length; i++) {
-            if (shouldSkipRow(dataTable.data[i])) continue;
-
-            const row = [];
-            selectedIndices.forEach((colIndex, idx) => {
-                const cellData = dataTable.data[i][colIndex];
-                const exportType = exportTypes ? exportTypes[idx] : 'text';
-                row.push(formatValue(cellData.value, cellData.formattedValue, exportType));
-            });
-            data.push(row);
+        window.worksheetColumns.clear();
+        previewDataCache.clear();
+        steppedExportInProgress = false;
+    }
+
+    if (scenarioSheets.length === 0) {
+        throw new Error('No data to export for any scenario');
+    }
+
+    // Compare each worksheet across scenarios, matching rows on its exported dimensions (fields without an aggregation)
+    const comparisons = selectedWorksheets.map(worksheetName => {
+        const config = columnSelectionConfig.get(worksheetName);
+        return {
+            name: `Compare - ${(config && config.sheetName) || worksheetName}`,
+            sheetNames: scenarios.map(scenario => `${worksheetName} (${scenario.name})`),
+            keys: ((config && config.originalNames) || []).filter(field => getDisplayName(field) === field)
+        };
+    });
+
+    const result = await runExportJob({ ...job, sheets: scenarioSheets, comparisons });
+    downloadBlob(new Blob([result.buffer], { type: result.mimeType }), result.filename);
+    return { filename: result.filename, errors: result.errors };
+}
+
+// Wait until the dashboard reports the given parameter values ([{ name, value }]), re-reading the
+// parameters until they match: changeValueAsync can resolve before the change reaches the worksheets,
+// whose data would then still reflect the previous values
+async function waitForParameterValues(expected, timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const current = await dashboard.getParametersAsync();
+        const pending = expected.filter(({ name, value }) => {
+            const param = current.find(p => p.name === name);
+            return param && String(param.currentValue.value) !== String(value);
+        });
+        if (pending.length === 0) return;
+        if (Date.now() > deadline) {
+            throw new Error(`Parameters did not update in time: ${pending.map(p => p.name).join(', ')}`);
         }
-        
-        console.log(`Exported all ${data.length - 1} rows without aggregation`);
+        await new Promise(resolve => setTimeout(resolve, 200));
     }
-    
-    return data;
 }
 
 // Get distinct values from all columns
@@ -1531,383 +3223,3 @@ function getDistinctValues(dataTable, selectedIndices) {
     return data;
 }
 
-// Convert summary data to crosstab/pivot format
-function convertToCrosstabFormat(dataTable) {
-    try {
-        const columns = dataTable.columns;
-        const data = dataTable.data;
-        
-        console.log('Converting to crosstab, data rows:', data.length);
-        console.log('Columns:', columns.map(c => `${c.fieldName} (${c.dataType})`).join(', '));
-        
-        if (data.length === 0) {
-            return [columns.map(col => col.fieldName)];
-        }
-        
-        // Identify column types - be more flexible with detection
-        const dimensions = [];
-        const measures = [];
-        
-        columns.forEach((col, idx) => {
-            const dataType = col.dataType.toLowerCase();
-            
-            // Check if it's a measure (numeric)
-            if (dataType.includes('float') || dataType.includes('int') || 
-                dataType === 'real' || dataType === 'number') {
-                measures.push({ index: idx, name: col.fieldName });
-            } else {
-                // Everything else is a dimension
-                dimensions.push({ index: idx, name: col.fieldName });
-            }
-        });
-        
-        console.log('Detected - Dimensions:', dimensions.map(d => d.name).join(', '));
-        console.log('Detected - Measures:', measures.map(m => m.name).join(', '));
-        
-        // Try to create pivot if we have dimensions and measures
-        if (dimensions.length >= 2 && measures.length >= 1) {
-            console.log('Creating pivot with', dimensions.length, 'dimensions');
-            return createSimplePivot(data, dimensions, measures);
-        } else if (dimensions.length === 1 && measures.length >= 1) {
-            console.log('Creating simple grouped table (1 dimension)');
-            return createGroupedTable(data, dimensions, measures);
-        } else if (dimensions.length >= 1 && measures.length >= 1) {
-            console.log('Creating grouped table (multiple dimensions)');
-            return createGroupedTable(data, dimensions, measures);
-        } else {
-            // No clear structure, return as-is
-            console.log('No pivot structure detected, returning raw data');
-            return convertTableauDataToArray(dataTable);
-        }
-    } catch (error) {
-        console.error('Error in convertToCrosstabFormat:', error);
-        return convertTableauDataToArray(dataTable);
-    }
-}
-
-// Simple 2D pivot - rows x columns
-function createSimplePivot(data, dimensions, measures) {
-    // Use first 2 dimensions for pivot (even if there are more)
-    const rowDim = dimensions[0];
-    const colDim = dimensions[1];
-    
-    console.log(`Creating pivot: Rows="${rowDim.name}" x Columns="${colDim.name}"`);
-    
-    // Get unique values
-    const rowValues = [...new Set(data.map(row => row[rowDim.index].formattedValue))];
-    const colValues = [...new Set(data.map(row => row[colDim.index].formattedValue))];
-    
-    // Sort if they look like numbers or dates
-    try {
-        if (!isNaN(rowValues[0])) rowValues.sort((a, b) => Number(a) - Number(b));
-        else rowValues.sort();
-        
-        if (!isNaN(colValues[0])) colValues.sort((a, b) => Number(a) - Number(b));
-        else colValues.sort();
-    } catch (e) {
-        rowValues.sort();
-        colValues.sort();
-    }
-    
-    console.log('Row values:', rowValues.join(', '));
-    console.log('Column values:', colValues.join(', '));
-    console.log('Measures:', measures.map(m => m.name).join(', '));
-    
-    const result = [];
-    
-    // Build header structure
-    if (measures.length === 1) {
-        // Single measure - simpler header
-        const header = [rowDim.name];
-        colValues.forEach(col => header.push(col));
-        result.push(header);
-        
-        // Second row with measure name
-        const measureHeader = [measures[0].name];
-        colValues.forEach(() => measureHeader.push(''));
-        result.push(measureHeader);
-        
-    } else {
-        // Multiple measures - hierarchical header
-        const header1 = [''];
-        colValues.forEach(col => {
-            header1.push(col);
-            for (let i = 1; i < measures.length; i++) {
-                header1.push('');
-            }
-        });
-        result.push(header1);
-        
-        const header2 = [rowDim.name];
-        colValues.forEach(() => {
-            measures.forEach(m => header2.push(m.name));
-        });
-        result.push(header2);
-    }
-    
-    // Build data rows
-    rowValues.forEach(rowVal => {
-        const dataRow = [rowVal];
-        
-        colValues.forEach(colVal => {
-            measures.forEach(measure => {
-                // Find matching data point
-                const match = data.find(d => 
-                    d[rowDim.index].formattedValue === rowVal && 
-                    d[colDim.index].formattedValue === colVal
-                );
-                dataRow.push(match ? match[measure.index].formattedValue : '');
-            });
-        });
-        
-        result.push(dataRow);
-    });
-    
-    console.log(`Pivot result: ${result.length} rows x ${result[0].length} columns`);
-    
-    return result;
-}
-
-// Create simple grouped table (1 dimension + measures)
-function createGroupedTable(data, dimensions, measures) {
-    const result = [];
-    const headerRow = dimensions.map(d => d.name).concat(measures.map(m => m.name));
-    result.push(headerRow);
-    
-    const grouped = new Map();
-    
-    data.forEach(row => {
-        const key = dimensions.map(d => row[d.index].formattedValue).join('|||');
-        
-        if (!grouped.has(key)) {
-            const dataRow = dimensions.map(d => row[d.index].formattedValue);
-            measures.forEach(m => dataRow.push(row[m.index].formattedValue));
-            grouped.set(key, dataRow);
-        }
-    });
-    
-    grouped.forEach(row => result.push(row));
-    return result;
-}
-
-
-
-// Convert Tableau DataTable to array format
-function convertTableauDataToArray(dataTable) {
-    const data = [];
-    
-    // Add headers
-    const headers = dataTable.columns.map(col => col.fieldName);
-    data.push(headers);
-    
-    // Add data rows
-    for (let i = 0; i < dataTable.data.length; i++) {
-        const row = [];
-        for (let j = 0; j < dataTable.columns.length; j++) {
-            const value = dataTable.data[i][j];
-            row.push(value.formattedValue);
-        }
-        data.push(row);
-    }
-    
-    return data;
-}
-
-// Pivot table data - simple and fast
-function pivotTableData(dataTable) {
-    try {
-        const columns = dataTable.columns;
-        const rows = dataTable.data;
-        
-        if (!rows || rows.length === 0) {
-            return [columns.map(col => col.fieldName)];
-        }
-        
-        // Find dimensions (text/date) and measures (numbers)
-        const dims = [];
-        const measures = [];
-        
-        for (let i = 0; i < columns.length; i++) {
-            const dtype = (columns[i].dataType || '').toLowerCase();
-            if (dtype.includes('int') || dtype.includes('float') || dtype.includes('real')) {
-                measures.push({ idx: i, name: columns[i].fieldName });
-            } else {
-                dims.push({ idx: i, name: columns[i].fieldName });
-            }
-        }
-        
-        // Need at least 2 dimensions and 1 measure for pivot
-        if (dims.length < 2 || measures.length < 1 || rows.length > 5000) {
-            return convertTableauDataToArray(dataTable);
-        }
-        
-        // Use last dimension for columns, rest for rows
-        const colDim = dims[dims.length - 1];
-        const rowDims = dims.slice(0, -1);
-        
-        // Get unique values
-        const colVals = [];
-        const seen = new Set();
-        for (let i = 0; i < rows.length && colVals.length < 100; i++) {
-            const val = rows[i][colDim.idx].formattedValue;
-            if (!seen.has(val)) {
-                colVals.push(val);
-                seen.add(val);
-            }
-        }
-        
-        // Build result array
-        const result = [];
-        
-        // Header
-        const header = [...rowDims.map(d => d.name)];
-        for (let cv of colVals) {
-            for (let m of measures) {
-                header.push(cv);
-            }
-        }
-        result.push(header);
-        
-        // Get unique row keys
-        const rowKeys = new Map();
-        for (let row of rows) {
-            const key = rowDims.map(d => row[d.idx].formattedValue).join('|||');
-            if (!rowKeys.has(key)) {
-                rowKeys.set(key, rowDims.map(d => row[d.idx].formattedValue));
-            }
-        }
-        
-        // Build data rows
-        for (let [key, rowVals] of rowKeys) {
-            const dataRow = [...rowVals];
-            
-            for (let colVal of colVals) {
-                for (let measure of measures) {
-                    let found = false;
-                    for (let row of rows) {
-                        let match = true;
-                        for (let i = 0; i < rowDims.length; i++) {
-                            if (row[rowDims[i].idx].formattedValue !== rowVals[i]) {
-                                match = false;
-                                break;
-                            }
-                        }
-                        if (match && row[colDim.idx].formattedValue === colVal) {
-                            dataRow.push(row[measure.idx].formattedValue);
-                            found = true;
-                            break;
-                        }
-                    }
-                    if (!found) dataRow.push('');
-                }
-            }
-            
-            result.push(dataRow);
-        }
-        
-        return result;
-        
-    } catch (e) {
-        // Any error, just return simple table
-        return convertTableauDataToArray(dataTable);
-    }
-}
-
-// Sanitize sheet name for Excel compatibility
-function sanitizeSheetName(name) {
-    // Excel sheet names can't exceed 31 characters and can't contain: \ / ? * [ ]
-    let sanitized = name.replace(/[\\\/\?\*\[\]]/g, '_');
-    if (sanitized.length > 31) {
-        sanitized = sanitized.substring(0, 31);
-    }
-    return sanitized;
-}
-
-// Calculate column widths for better formatting
-function calculateColumnWidths(data) {
-    if (!data || data.length === 0) return [];
-    
-    const colWidths = [];
-    const maxCols = Math.max(...data.map(row => row.length));
-    
-    for (let col = 0; col < maxCols; col++) {
-        let maxWidth = 10; // Minimum width
-        
-        for (const row of data) {
-            if (row[col]) {
-                const cellLength = String(row[col]).length;
-                maxWidth = Math.max(maxWidth, Math.min(cellLength, 50)); // Cap at 50
-            }
-        }
-        
-        colWidths.push({ wch: maxWidth });
-    }
-    
-    return colWidths;
-}
-
-// Sort data rows (excluding header) by selected column
-function sortDataRows(data, sortIndex, direction, exportType) {
-    if (!data || data.length <= 1 || sortIndex === undefined || sortIndex < 0) return data;
-
-    const header = data[0];
-    const rows = data.slice(1);
-
-    const monthMap = {
-        Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5,
-        Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11
-    };
-
-    const parseDateValue = (value) => {
-        if (value instanceof Date) return value.getTime();
-        const str = String(value || '').trim();
-        if (!str) return NaN;
-
-        // Match "Nov-2024"
-        const shortMatch = str.match(/^([A-Za-z]{3})-(\d{4})$/);
-        if (shortMatch) {
-            const monKey = shortMatch[1];
-            const mIdx = monthMap.hasOwnProperty(monKey) ? monthMap[monKey] : undefined;
-            if (mIdx !== undefined) {
-                return new Date(Number(shortMatch[2]), mIdx, 1).getTime();
-            }
-        }
-
-        // Match "November 2024"
-        const longMatch = str.match(/^([A-Za-z]+)\s+(\d{4})$/);
-        if (longMatch) {
-            const longMonth = longMatch[1].substring(0, 3);
-            const mIdx = monthMap.hasOwnProperty(longMonth) ? monthMap[longMonth] : (monthMap.hasOwnProperty(longMatch[1]) ? monthMap[longMatch[1]] : undefined);
-            if (mIdx !== undefined) {
-                return new Date(Number(longMatch[2]), mIdx, 1).getTime();
-            }
-        }
-
-        const parsed = Date.parse(str);
-        return isNaN(parsed) ? NaN : parsed;
-    };
-
-    const normalize = (value) => {
-        if (exportType === 'number') {
-            const n = typeof value === 'number' ? value : parseFloat(value);
-            return isNaN(n) ? Number.NEGATIVE_INFINITY : n;
-        }
-        if (exportType === 'date' || exportType === 'date-full') {
-            const t = parseDateValue(value);
-            return isNaN(t) ? Number.NEGATIVE_INFINITY : t;
-        }
-        // Text fallback
-        return String(value || '').toLowerCase();
-    };
-
-    rows.sort((a, b) => {
-        const aVal = normalize(a[sortIndex]);
-        const bVal = normalize(b[sortIndex]);
-
-        if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-        if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-        return 0;
-    });
-
-    return [header, ...rows];
-}
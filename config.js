@@ -0,0 +1,162 @@
+// Configuration dialog for the dashboard author, opened from the extension's Configure menu
+document.addEventListener('DOMContentLoaded', () => {
+    tableau.extensions.initializeDialogAsync().then(() => {
+        console.log('Configuration dialog initialized');
+        loadConfigDialog();
+    }).catch((error) => {
+        console.error('Error initializing configuration dialog:', error);
+        showDialogStatus('Error initializing dialog: ' + error.message);
+    });
+});
+
+// Fill the form from the saved configuration
+async function loadConfigDialog() {
+    const config = readExtensionConfig();
+
+    document.getElementById('brandingTitle').value = config.branding.title;
+    document.getElementById('brandingSubtitle').value = config.branding.subtitle;
+    document.getElementById('defaultFormat').value = config.defaults.format;
+    document.getElementById('defaultIncludeDuplicateRows').checked = !!config.defaults.includeDuplicateRows;
+    document.getElementById('defaultIncludeDashboardFilters').checked = !!config.defaults.includeDashboardFilters;
+    document.getElementById('defaultIncludeNulls').checked = !!config.defaults.includeNullsAcrossDimensions;
+    document.getElementById('filenamePattern').value = config.filenamePattern;
+
+    const list = document.getElementById('worksheetConfigList');
+    const dashboardWorksheets = tableau.extensions.dashboardContent.dashboard.worksheets;
+
+    if (dashboardWorksheets.length === 0) {
+        list.innerHTML = '<p class="help">No worksheets found in this dashboard.</p>';
+        return;
+    }
+
+    list.innerHTML = '';
+    for (const worksheet of dashboardWorksheets) {
+        list.appendChild(await createWorksheetConfigRow(worksheet, config));
+    }
+}
+
+// One worksheet: exportable checkbox plus an expandable list of columns to lock
+async function createWorksheetConfigRow(worksheet, config) {
+    const row = document.createElement('div');
+    row.className = 'worksheet-config';
+    row.dataset.worksheet = worksheet.name;
+
+    const exportable = document.createElement('label');
+    exportable.className = 'option-item';
+    exportable.style.marginBottom = '0';
+    const exportableCb = document.createElement('input');
+    exportableCb.type = 'checkbox';
+    exportableCb.className = 'worksheet-exportable';
+    exportableCb.checked = !config.exportableWorksheets || config.exportableWorksheets.includes(worksheet.name);
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = worksheet.name;
+    nameSpan.style.fontWeight = '600';
+    exportable.appendChild(exportableCb);
+    exportable.appendChild(nameSpan);
+    row.appendChild(exportable);
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    const lockedGrid = document.createElement('div');
+    lockedGrid.className = 'locked-columns';
+    details.appendChild(summary);
+    details.appendChild(lockedGrid);
+    row.appendChild(details);
+
+    const locked = config.lockedColumns[worksheet.name] || [];
+    try {
+        const columns = await getLockableColumns(worksheet);
+        columns.forEach(column => {
+            const item = document.createElement('label');
+            item.style.cssText = 'display: flex; gap: 6px; align-items: center;';
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.className = 'locked-column';
+            cb.value = column.fieldName;
+            cb.checked = locked.includes(column.fieldName);
+            const text = document.createElement('span');
+            text.textContent = column.fieldName;
+            item.appendChild(cb);
+            item.appendChild(text);
+            lockedGrid.appendChild(item);
+        });
+        summary.textContent = `Locked columns (${locked.length} of ${columns.length})`;
+    } catch (error) {
+        console.error(`Error fetching columns for ${worksheet.name}:`, error);
+        summary.textContent = 'Locked columns (unavailable)';
+    }
+
+    return row;
+}
+
+// Columns a viewer can export from a worksheet: the summary data's columns followed by those only found
+// in its underlying logical tables (the panel's underlying data mode)
+async function getLockableColumns(worksheet) {
+    const summary = await worksheet.getSummaryDataAsync({ maxRows: 1 });
+    const columns = [...summary.columns];
+    const seen = new Set(columns.map(column => column.fieldName));
+
+    try {
+        const tables = await worksheet.getUnderlyingTablesAsync();
+        for (const table of tables) {
+            const dataTable = await worksheet.getUnderlyingTableDataAsync(table.id, { maxRows: 1, includeAllColumns: true });
+            dataTable.columns.forEach(column => {
+                if (seen.has(column.fieldName)) return;
+                seen.add(column.fieldName);
+                columns.push(column);
+            });
+        }
+    } catch (error) {
+        console.log(`Underlying columns unavailable for ${worksheet.name}:`, error.message);
+    }
+    return columns;
+}
+
+// Save the form to settings and close the dialog so the panel picks up the changes
+function saveConfig() {
+    const rows = Array.from(document.querySelectorAll('.worksheet-config'));
+    const exportable = rows
+        .filter(row => row.querySelector('.worksheet-exportable').checked)
+        .map(row => row.dataset.worksheet);
+
+    const lockedColumns = {};
+    rows.forEach(row => {
+        const fields = Array.from(row.querySelectorAll('.locked-column:checked')).map(cb => cb.value);
+        if (fields.length > 0) lockedColumns[row.dataset.worksheet] = fields;
+    });
+
+    const config = {
+        // Store null when everything is exportable so worksheets added later show up too
+        exportableWorksheets: exportable.length === rows.length ? null : exportable,
+        defaults: {
+            format: document.getElementById('defaultFormat').value,
+            includeDuplicateRows: document.getElementById('defaultIncludeDuplicateRows').checked,
+            includeDashboardFilters: document.getElementById('defaultIncludeDashboardFilters').checked,
+            includeNullsAcrossDimensions: document.getElementById('defaultIncludeNulls').checked
+        },
+        filenamePattern: document.getElementById('filenamePattern').value.trim(),
+        branding: {
+            title: document.getElementById('brandingTitle').value.trim(),
+            subtitle: document.getElementById('brandingSubtitle').value.trim()
+        },
+        lockedColumns
+    };
+
+    writeExtensionConfig(config).then(() => {
+        console.log('Configuration saved', config);
+        tableau.extensions.ui.closeDialog('saved');
+    }).catch((error) => {
+        console.error('Error saving configuration:', error);
+        showDialogStatus('Error saving configuration: ' + error.message);
+    });
+}
+
+// Close without saving
+function cancelConfig() {
+    tableau.extensions.ui.closeDialog('cancelled');
+}
+
+// Show an error message in the dialog footer
+function showDialogStatus(message) {
+    document.getElementById('dialogStatus').textContent = message;
+}
@@ -0,0 +1,1695 @@
+// Export pipeline: turns plain worksheet data into the exported file.
+// Loaded by the export worker (export-worker.js) and by index.html as a main-thread fallback,
+// so nothing in here may touch the DOM or the Tableau Extensions API.
+
+// Excel's hard limit on rows per worksheet
+const EXCEL_MAX_ROWS = 1048576;
+
+// Name of the filter summary sheet (kept free when naming the data sheets)
+const FILTER_SHEET_NAME = 'Dashboard Filters';
+const FILTER_VALUES_SHEET_NAME = 'Filter Values';
+
+// Run the whole transform-and-write pipeline for an export job.
+// job: { format, baseName, delimited, options, sheetMode, filterSummary: { summary, values },
+//        context: { dashboardName, exportedAt, parameters } (Excel only), sheets: [{ name, tabName, dataTable, config, filters }],
+//        comparisons: [{ name, sheetNames, keys }] (side-by-side sheets joined from exported sheets, e.g. parameter scenarios) }
+// Resolves to { buffer, filename, mimeType, exportedCount, skipped, errors, splits }.
+async function runExportPipeline(job, reportProgress = () => {}, isCancelled = () => false) {
+    const exportedSheets = [];
+    const skipped = [];
+    const errors = [];
+    const total = job.sheets.length;
+
+    for (let i = 0; i < total; i++) {
+        if (isCancelled()) throw new Error('Export cancelled');
+
+        const sheet = job.sheets[i];
+        reportProgress(`Processing: ${sheet.name} (${i + 1} of ${total})...`, Math.round((i / total) * 80));
+
+        try {
+            const built = buildSheetData(sheet.name, sheet.dataTable, sheet.config, job.options);
+
+            if (built && built.data.length > 0) {
+                // tabName is the workbook tab (or CSV file) name: set by the caller (burst exports), else the user's
+                // sheet name, defaulting to the worksheet name
+                const tabName = sheet.tabName || (sheet.config && sheet.config.sheetName) || sheet.name;
+                // filterContext lists the filters behind the sheet for its context block (several once sheets are merged)
+                const filterContext = [{ worksheet: sheet.name, text: sheet.filters || '' }];
+                exportedSheets.push({ name: sheet.name, tabName, filterContext, ...built });
+                console.log(`✓ Added worksheet "${sheet.name}" to export`);
+            } else if (built === null) {
+                skipped.push(sheet.name);
+                console.log(`⊗ Skipped worksheet "${sheet.name}" - no columns selected`);
+            } else {
+                console.log(`⚠ Worksheet "${sheet.name}" has no data to export`);
+            }
+        } catch (error) {
+            console.error('Error processing worksheet', sheet.name, ':', error);
+            errors.push({ name: sheet.name, message: error.message });
+        }
+    }
+
+    if (isCancelled()) throw new Error('Export cancelled');
+    reportProgress('Writing file...', 85);
+
+    // Merge the worksheets into one sheet if a combine or join sheet mode was chosen;
+    // comparison sheets (built from the unmerged sheets) go last
+    const comparisonSheets = buildComparisonSheets(exportedSheets, job.comparisons);
+    const outputSheets = applySheetMode(exportedSheets, job.sheetMode).concat(comparisonSheets);
+
+    let output;
+    let splits = [];
+    if (job.format === 'csv' || job.format === 'tsv') {
+        const sheets = [...getFilterSheets(job.filterSummary), ...outputSheets];
+        if (sheets.length === 0) {
+            throw new Error('No data to export - check the column selections');
+        }
+        output = await buildDelimitedFiles(sheets, job.baseName, job.delimited);
+    } else {
+        if (job.context) {
+            outputSheets.forEach(sheet => { sheet.contextRows = buildContextRows(job.context, sheet.filterContext); });
+        }
+        const split = splitOversizedSheets(outputSheets, EXCEL_MAX_ROWS);
+        splits = split.splits;
+        splits.forEach(entry => console.log(`⚠ ${entry.name} has ${entry.rows} rows - split into ${entry.parts} sheets`));
+        output = await buildWorkbookFile(split.sheets, job.filterSummary, job.baseName);
+    }
+
+    reportProgress('Export ready', 100);
+    return { ...output, exportedCount: exportedSheets.length, skipped, errors, splits };
+}
+
+// Apply column selection, renames, types, aggregation, sort and layout to one worksheet's data.
+// Returns { data (rows, header first), fieldNames, columnFormats, headerRowFormats, headerRows, frozenColumns, totalRows },
+// or null when the worksheet should be skipped. fieldNames (original field per column) is null for crosstabs.
+function buildSheetData(worksheetName, dataTable, wsColumns, options) {
+    const { aggregateData, includeNullsAcrossDimensions } = options;
+    console.log(`Retrieved ${dataTable.data.length} rows for ${worksheetName}`);
+    
+    // Include all columns (including AGG columns like running sums)
+    const filteredColumnIndices = [];
+    const filteredColumnNames = [];
+    dataTable.columns.forEach((col, idx) => {
+        filteredColumnIndices.push(idx);
+        filteredColumnNames.push(col.fieldName);
+    });
+    console.log(`Total columns available: ${dataTable.columns.length}`);
+
+    let data;
+    // Original field names of the exported columns, in output order
+    let exportedFieldNames = filteredColumnNames;
+    let exportedAggregations = [];
+    // Source data column of each exported column, and the source rows behind each aggregated row,
+    // so totals can be computed from the source rows rather than from already-aggregated values
+    let exportedSourceIndices = [];
+    const groupSources = {};
+    // Excel number/date format per exported column (null = General)
+    let columnFormats = [];
+
+    if (wsColumns && wsColumns.originalNames && wsColumns.originalNames.length > 0) {
+        // User has selected specific columns - match by field name (not index)
+        console.log(`Attempting to match ${wsColumns.originalNames.length} selected columns by name for ${worksheetName}`);
+        const mappedIndices = [];
+        const mappedNames = [];
+        const mappedOriginalNames = [];
+        
+        // Match selected columns by original field name in fresh data
+        const mappedTypes = [];
+        const mappedAggregations = [];
+        wsColumns.originalNames.forEach((originalName, idx) => {
+            // Find this column in the fresh dataTable by field name
+            const freshColIndex = dataTable.columns.findIndex(col => col.fieldName === originalName);
+            
+            if (freshColIndex >= 0) {
+                // Column exists in fresh data (including AGG columns)
+                mappedIndices.push(freshColIndex);
+                mappedNames.push(wsColumns.names[idx]);
+                mappedOriginalNames.push(originalName);
+                mappedTypes.push(wsColumns.exportTypes ? wsColumns.exportTypes[idx] : 'text');
+                // Resolve the weight column (if any) against the fresh data as well
+                const agg = wsColumns.aggregations ? wsColumns.aggregations[idx] : null;
+                mappedAggregations.push(agg ? {
+                    fn: agg.fn,
+                    weightField: agg.weightField,
+                    weightIndex: agg.weightField ? dataTable.columns.findIndex(col => col.fieldName === agg.weightField) : -1
+                } : null);
+                console.log(`  ✓ Matched "${originalName}" → index ${freshColIndex}`);
+            } else {
+                console.log(`  ✗ Column "${originalName}" not found in fresh data`);
+            }
+        });
+        
+        if (mappedIndices.length > 0) {
+            console.log(`Exporting ${mappedIndices.length} matched columns for ${worksheetName}`, { mappedNames });
+            data = filterColumns(dataTable, mappedIndices, mappedNames, aggregateData, mappedTypes, includeNullsAcrossDimensions, mappedAggregations, groupSources);
+            exportedSourceIndices = mappedIndices;
+            exportedFieldNames = mappedOriginalNames;
+            exportedAggregations = mappedAggregations;
+            columnFormats = mappedTypes.map((type, idx) =>
+                getColumnFormat(type, dataTable, mappedIndices[idx], mappedAggregations[idx]));
+        } else {
+            console.log('No columns matched in fresh data, skipping worksheet (no valid columns selected)');
+            return null; // Skip this worksheet
+        }
+    } else if (wsColumns && wsColumns.originalNames && wsColumns.originalNames.length === 0) {
+        // User explicitly deselected all columns - skip this worksheet
+        console.log(`No columns selected for ${worksheetName}, skipping worksheet export`);
+        return null;
+    } else {
+        // Column selection UI wasn't used or worksheet wasn't in config - export all non-AGG columns
+        console.log(`No column selection config for ${worksheetName}, exporting all non-AGG columns (aggregate: ${aggregateData})`);
+        data = filterColumns(dataTable, filteredColumnIndices, filteredColumnNames, aggregateData, undefined, includeNullsAcrossDimensions);
+    }
+
+    // Apply sort levels if configured
+    if (data && data.length > 1 && wsColumns && wsColumns.sort && wsColumns.sort.keys.length > 0) {
+        data = sortDataRows(data, wsColumns.sort.keys, wsColumns.sort);
+    }
+
+    let headerRows = 1;
+    let frozenColumns = 0;
+    // Format for the values in each crosstab column-header row (dates pivoted across columns)
+    let headerRowFormats = [];
+
+    // Reshape into a crosstab if that layout was chosen for this worksheet
+    if (data && data.length > 1 && wsColumns && wsColumns.layout && wsColumns.layout.mode === 'crosstab') {
+        const layout = resolveCrosstabLayout(wsColumns.layout, exportedFieldNames, exportedAggregations);
+        if (layout.columnIndices.length > 0 && layout.valueIndices.length > 0) {
+            const flatData = data;
+            data = pivotTableData(data, layout);
+            if (data !== flatData) {
+                headerRows = layout.columnIndices.length + 1;
+                frozenColumns = layout.rowIndices.length;
+                headerRowFormats = layout.columnIndices.map(i => columnFormats[i] || null);
+                columnFormats = getCrosstabColumnFormats(columnFormats, layout, data[0].length);
+            }
+        } else {
+            console.log(`Crosstab for ${worksheetName} needs at least one Columns and one Values field - exporting flat table`);
+        }
+    }
+
+    // Subtotal and grand total rows ({ row, level }, level 0 = grand total)
+    let totalRows = [];
+    const totals = wsColumns && wsColumns.totals;
+    if (data && data.length > 1 && totals && (totals.grandTotal || (totals.subtotalFields || []).length > 0)) {
+        if (headerRows > 1) {
+            console.log(`Totals are not added to the crosstab layout of ${worksheetName}`);
+        } else {
+            const result = addTotalRows(data, totals, {
+                fieldNames: exportedFieldNames,
+                exportTypes: wsColumns.exportTypes || [],
+                aggregations: exportedAggregations,
+                columnFormats,
+                aggregateData,
+                sources: groupSources.rows ? { dataTable, rows: groupSources.rows, measureColumns: groupSources.measureColumns, columnIndices: exportedSourceIndices } : null
+            });
+            data = result.data;
+            totalRows = result.totalRows;
+            console.log(`Added ${totalRows.length} total rows to ${worksheetName}`);
+        }
+    }
+
+    const fieldNames = headerRows === 1 ? exportedFieldNames : null;
+    return { data, fieldNames, columnFormats, headerRowFormats, headerRows, frozenColumns, totalRows };
+}
+
+// Merge the exported sheets as the chosen sheet mode asks.
+// sheetMode: { mode: 'separate' | 'combine' | 'join', matchBy: 'field' | 'name', sheetName,
+//              joinKeys: [field names], joinType: 'inner' | 'left' | 'full' }
+// Only flat tables can be merged; worksheets in the crosstab layout (or, for a join,
+// without all the key fields) keep their own tabs.
+function applySheetMode(sheets, sheetMode) {
+    if (!sheetMode || !sheetMode.mode || sheetMode.mode === 'separate') return sheets;
+
+    const isMergeable = (sheet) => {
+        if ((sheet.headerRows || 1) !== 1) return false;
+        if (sheetMode.mode !== 'join') return true;
+        return (sheetMode.joinKeys || []).every(key => (sheet.fieldNames || []).includes(key));
+    };
+    const mergeable = sheets.filter(isMergeable);
+    const others = sheets.filter(sheet => !isMergeable(sheet));
+    others.forEach(sheet => console.log(`${sheet.name} cannot be merged (crosstab layout or missing key fields) - kept as its own sheet`));
+
+    if (sheetMode.mode === 'join') {
+        if (mergeable.length < 2 || (sheetMode.joinKeys || []).length === 0) {
+            console.log('Join needs key fields and at least two worksheets that have them - exporting separate sheets');
+            return sheets;
+        }
+        const joined = joinSheets(mergeable, sheetMode.joinKeys, sheetMode.joinType);
+        joined.tabName = sheetMode.sheetName || joined.name;
+        joined.filterContext = mergeable.flatMap(sheet => sheet.filterContext || []);
+        console.log(`Joined ${mergeable.length} worksheets (${sheetMode.joinType || 'inner'}) into "${joined.tabName}" (${joined.data.length - 1} rows)`);
+        return [joined, ...others];
+    }
+
+    if (mergeable.length === 0) return sheets;
+    const merged = combineSheets(mergeable, sheetMode.matchBy);
+    merged.tabName = sheetMode.sheetName || merged.name;
+    merged.filterContext = mergeable.flatMap(sheet => sheet.filterContext || []);
+    console.log(`Combined ${mergeable.length} worksheets into "${merged.tabName}" (${merged.data.length - 1} rows)`);
+    return [merged, ...others];
+}
+
+// Build one comparison sheet per entry: the named exported sheets full-joined on the entry's key fields,
+// so each measure appears once per source sheet. Entries whose sheets cannot be joined are left out.
+function buildComparisonSheets(exportedSheets, comparisons) {
+    const result = [];
+    (comparisons || []).forEach(comparison => {
+        const sheets = comparison.sheetNames
+            .map(name => exportedSheets.find(sheet => sheet.name === name))
+            .filter(sheet => sheet && sheet.fieldNames && (sheet.headerRows || 1) === 1 &&
+                comparison.keys.every(key => sheet.fieldNames.includes(key)));
+        if (sheets.length < 2) {
+            console.log(`Comparison "${comparison.name}" needs at least two flat sheets with the key fields - skipped`);
+            return;
+        }
+        // Without keys every row would pair with every other row; only single-row sheets compare safely
+        if (comparison.keys.length === 0 && sheets.some(sheet => sheet.data.length - (sheet.totalRows || []).length > 2)) {
+            console.log(`Comparison "${comparison.name}" has no dimension to match rows on - skipped`);
+            return;
+        }
+
+        const joined = joinSheets(sheets, comparison.keys, 'full');
+        joined.name = comparison.name;
+        joined.tabName = comparison.name;
+        joined.filterContext = sheets.flatMap(sheet => sheet.filterContext || []);
+        result.push(joined);
+        console.log(`Added comparison "${comparison.name}" (${sheets.length} sheets, ${joined.data.length - 1} rows)`);
+    });
+    return result;
+}
+
+// Join flat sheets side by side on shared key fields, left to right in sheet order.
+// joinType: 'inner' keeps keys found in every worksheet, 'left' keeps the first worksheet's keys,
+// 'full' keeps keys from any worksheet. Repeated keys pair up every matching row, as in SQL.
+// Key columns come first; every other column is labelled with the worksheet it came from.
+function joinSheets(sheets, keyFields, joinType = 'inner') {
+    const keyOf = (row, positions) => positions.map(p => row[p] ?? '').join('|||');
+    const stripTotals = (sheet) => {
+        const totalRows = new Set((sheet.totalRows || []).map(total => total.row));
+        return sheet.data.slice(1).filter((_, i) => !totalRows.has(i + 1));
+    };
+
+    const parts = sheets.map(sheet => {
+        const keyPositions = keyFields.map(field => sheet.fieldNames.indexOf(field));
+        const valuePositions = sheet.data[0].map((_, c) => c).filter(c => !keyPositions.includes(c));
+        return { sheet, keyPositions, valuePositions, rows: stripTotals(sheet) };
+    });
+
+    const first = parts[0];
+    const header = [
+        ...first.keyPositions.map(p => first.sheet.data[0][p]),
+        ...parts.flatMap(part => part.valuePositions.map(c => `${part.sheet.data[0][c]} (${part.sheet.tabName || part.sheet.name})`))
+    ];
+    const columnFormats = [
+        ...first.keyPositions.map(p => (first.sheet.columnFormats || [])[p] || null),
+        ...parts.flatMap(part => part.valuePositions.map(c => (part.sheet.columnFormats || [])[c] || null))
+    ];
+    const fieldNames = [
+        ...keyFields,
+        ...parts.flatMap(part => part.valuePositions.map(c => `${part.sheet.name}:${part.sheet.fieldNames[c]}`))
+    ];
+
+    // Joined rows so far: { keyValues, values (value columns of the sheets joined so far) }
+    let joined = first.rows.map(row => ({
+        key: keyOf(row, first.keyPositions),
+        keyValues: first.keyPositions.map(p => row[p]),
+        values: first.valuePositions.map(c => row[c])
+    }));
+    let width = first.valuePositions.length;
+
+    parts.slice(1).forEach(part => {
+        const index = new Map();
+        part.rows.forEach(row => {
+            const key = keyOf(row, part.keyPositions);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(row);
+        });
+
+        const blank = part.valuePositions.map(() => null);
+        const matchedKeys = new Set();
+        const next = [];
+        joined.forEach(entry => {
+            const matches = index.get(entry.key);
+            if (matches) {
+                matchedKeys.add(entry.key);
+                matches.forEach(row => next.push({ ...entry, values: entry.values.concat(part.valuePositions.map(c => row[c])) }));
+            } else if (joinType !== 'inner') {
+                next.push({ ...entry, values: entry.values.concat(blank) });
+            }
+        });
+
+        // A full join also keeps this worksheet's rows that matched nothing so far
+        if (joinType === 'full') {
+            const earlierBlank = new Array(width).fill(null);
+            part.rows.forEach(row => {
+                const key = keyOf(row, part.keyPositions);
+                if (matchedKeys.has(key)) return;
+                next.push({ key, keyValues: part.keyPositions.map(p => row[p]), values: earlierBlank.concat(part.valuePositions.map(c => row[c])) });
+            });
+        }
+
+        joined = next;
+        width += part.valuePositions.length;
+    });
+
+    return {
+        name: 'Joined',
+        data: [header, ...joined.map(entry => [...entry.keyValues, ...entry.values])],
+        fieldNames,
+        columnFormats,
+        headerRowFormats: [],
+        headerRows: 1,
+        frozenColumns: keyFields.length,
+        totalRows: []
+    };
+}
+
+// Stack flat sheets into one long table with a leading "Source Worksheet" column.
+// Columns are matched by original field name ('field') or by export name after renames ('name');
+// a column missing from a worksheet is left blank. Total rows are dropped so the stacked
+// table can be summed without double counting.
+function combineSheets(sheets, matchBy) {
+    const columns = [];               // { key, label, format } in first-seen order
+    const positions = new Map();      // key -> position in columns
+
+    const columnPositions = sheets.map(sheet => {
+        const seen = new Map();
+        return sheet.data[0].map((label, c) => {
+            let key = matchBy === 'name' || !sheet.fieldNames ? String(label) : sheet.fieldNames[c];
+            // The same key twice in one worksheet (e.g. two columns renamed alike) stays two columns
+            const count = (seen.get(key) || 0) + 1;
+            seen.set(key, count);
+            if (count > 1) key = `${key}#${count}`;
+
+            if (!positions.has(key)) {
+                positions.set(key, columns.length);
+                columns.push({ key, label, format: (sheet.columnFormats || [])[c] || null });
+            }
+            return positions.get(key);
+        });
+    });
+
+    const data = [['Source Worksheet', ...columns.map(col => col.label)]];
+    sheets.forEach((sheet, s) => {
+        const totalRows = new Set((sheet.totalRows || []).map(total => total.row));
+        for (let r = 1; r < sheet.data.length; r++) {
+            if (totalRows.has(r)) continue;
+            const row = new Array(columns.length + 1).fill(null);
+            row[0] = sheet.name;
+            sheet.data[r].forEach((value, c) => { row[columnPositions[s][c] + 1] = value; });
+            data.push(row);
+        }
+    });
+
+    return {
+        name: 'Combined',
+        data,
+        fieldNames: ['Source Worksheet', ...columns.map(col => col.key)],
+        columnFormats: [null, ...columns.map(col => col.format)],
+        headerRowFormats: [],
+        headerRows: 1,
+        frozenColumns: 1,
+        totalRows: []
+    };
+}
+
+// Insert a subtotal row after each break of the chosen dimensions and a grand total row at the end.
+// Rows are first grouped by the break columns (keeping the existing order within and between groups);
+// measures are rolled up with each column's aggregation.
+// columns: { fieldNames, exportTypes, aggregations, columnFormats, aggregateData, sources }, parallel to the exported columns.
+// sources ({ dataTable, rows: Map(output row -> source row indices), measureColumns, columnIndices }) lets aggregated
+// measures be totalled from the source rows, so an average or distinct count is not taken over group results.
+// Returns { data, totalRows: [{ row, level }] } - level 0 is the grand total, level n the n-th break column.
+function addTotalRows(data, totals, columns) {
+    const header = data[0];
+    const { fieldNames, exportTypes, aggregations, columnFormats, aggregateData, sources } = columns;
+    const isMeasure = (i) => isNumericExportType(exportTypes[i]);
+
+    const breakIndices = (totals.subtotalFields || [])
+        .map(field => fieldNames.indexOf(field))
+        .filter(i => i >= 0 && !isMeasure(i))
+        .sort((a, b) => a - b);
+
+    const measureAggregations = header.map((_, i) => {
+        if (!isMeasure(i)) return null;
+        const agg = aggregations[i];
+        let fn = (agg && agg.fn) || 'sum';
+        // Measures rolled up from source rows are totalled from those rows
+        const sourceColumn = sources && sources.measureColumns.includes(sources.columnIndices[i]) ? sources.columnIndices[i] : -1;
+        const sourceWeight = sourceColumn >= 0 && agg && agg.weightIndex >= 0 ? agg.weightIndex : -1;
+        // Otherwise rows that are already aggregated carry counts, so their totals add those counts up
+        if (aggregateData && sourceColumn < 0 && (fn === 'count' || fn === 'countd')) fn = 'sum';
+        const weightIndex = agg && agg.weightField ? fieldNames.indexOf(agg.weightField) : -1;
+        if (fn === 'wavg' && (sourceColumn >= 0 ? sourceWeight : weightIndex) < 0) fn = 'avg';
+        return { fn, weightIndex, sourceColumn, sourceWeight };
+    });
+
+    const createAccumulators = () => measureAggregations.map(agg => agg && createAggregator(agg.fn));
+    const accumulate = (accumulators, row) => {
+        const sourceRows = sources && sources.rows.get(row);
+        measureAggregations.forEach((agg, i) => {
+            if (!agg) return;
+            if (sourceRows && agg.sourceColumn >= 0) {
+                sourceRows.forEach(s => {
+                    const sourceRow = sources.dataTable.data[s];
+                    const weightCell = agg.sourceWeight >= 0 ? sourceRow[agg.sourceWeight] : null;
+                    accumulators[i].add(toMeasureInput(sourceRow[agg.sourceColumn]),
+                        weightCell ? toNumericValue(weightCell.value, weightCell.formattedValue) : undefined);
+                });
+            } else {
+                accumulators[i].add(row[i], agg.weightIndex >= 0 ? row[agg.weightIndex] : undefined);
+            }
+        });
+    };
+
+    // Label text for a break value, using the column's format so dates read as dates
+    const labelFor = (value, i) => {
+        const format = columnFormats[i];
+        return typeof value === 'number' && format ? XLSX.SSF.format(format, value) : String(value ?? '');
+    };
+
+    const buildTotalRow = (accumulators, labelIndex, label, sourceRow, keepIndices) => header.map((_, i) => {
+        if (measureAggregations[i]) return accumulators[i].result() ?? '';
+        if (i === labelIndex) return label;
+        return keepIndices.includes(i) ? sourceRow[i] : '';
+    });
+
+    const rows = groupRowsByColumns(data.slice(1), breakIndices);
+    const result = [header];
+    const totalRows = [];
+    const grandTotal = createAccumulators();
+    const open = breakIndices.map(() => null);   // current group per break level: { key, row, accumulators }
+    const keyAt = (row, level) => breakIndices.slice(0, level + 1).map(i => row[i]).join('|||');
+
+    // Close the groups at the given level and deeper, innermost first
+    const closeGroups = (fromLevel) => {
+        for (let level = breakIndices.length - 1; level >= fromLevel; level--) {
+            const group = open[level];
+            if (!group) continue;
+            const breakIndex = breakIndices[level];
+            result.push(buildTotalRow(group.accumulators, breakIndex,
+                `${labelFor(group.row[breakIndex], breakIndex)} Subtotal`, group.row, breakIndices.slice(0, level)));
+            totalRows.push({ row: result.length - 1, level: level + 1 });
+            open[level] = null;
+        }
+    };
+
+    rows.forEach(row => {
+        const changedLevel = breakIndices.findIndex((_, level) => !open[level] || open[level].key !== keyAt(row, level));
+        if (changedLevel >= 0) {
+            closeGroups(changedLevel);
+            for (let level = changedLevel; level < breakIndices.length; level++) {
+                open[level] = { key: keyAt(row, level), row, accumulators: createAccumulators() };
+            }
+        }
+        open.forEach(group => accumulate(group.accumulators, row));
+        accumulate(grandTotal, row);
+        result.push(row);
+    });
+    closeGroups(0);
+
+    if (totals.grandTotal) {
+        // Label goes in the first dimension column; a measures-only sheet relies on the row styling
+        const labelIndex = header.findIndex((_, i) => !isMeasure(i));
+        result.push(buildTotalRow(grandTotal, labelIndex, 'Grand Total', [], []));
+        totalRows.push({ row: result.length - 1, level: 0 });
+    }
+
+    return { data: result, totalRows };
+}
+
+// Stable-group rows by the given columns, level by level in first-seen order,
+// so each group's rows are contiguous without re-sorting the values themselves
+function groupRowsByColumns(rows, columnIndices) {
+    if (columnIndices.length === 0) return rows;
+
+    const prefixOf = (row, level) => columnIndices.slice(0, level + 1).map(i => row[i]).join('|||');
+    const levelRanks = columnIndices.map((_, level) => {
+        const ranks = new Map();
+        rows.forEach(row => {
+            const prefix = prefixOf(row, level);
+            if (!ranks.has(prefix)) ranks.set(prefix, ranks.size);
+        });
+        return ranks;
+    });
+
+    return rows
+        .map((row, position) => ({ row, position, ranks: levelRanks.map((ranks, level) => ranks.get(prefixOf(row, level))) }))
+        .sort((a, b) => {
+            for (let level = 0; level < columnIndices.length; level++) {
+                const diff = a.ranks[level] - b.ranks[level];
+                if (diff !== 0) return diff;
+            }
+            return a.position - b.position;
+        })
+        .map(entry => entry.row);
+}
+
+// Excel number format codes for the numeric export types.
+// Plain 'number' keeps the formatting Tableau shows (see inferNumberFormat).
+const NUMBER_FORMATS = {
+    'number-integer': '#,##0',
+    'number-decimal': '#,##0.00',
+    'percent': '0.0%',
+    'currency': '"$"#,##0.00'
+};
+
+// Excel date format codes for the date export types.
+// 'date-full' switches to the date-and-time code when the column carries times.
+const DATE_FORMATS = {
+    'date': 'mmm-yyyy',
+    'date-full': 'yyyy-mm-dd',
+    'date-dmy': 'dd/mm/yyyy',
+    'date-mdy': 'mm/dd/yyyy',
+    'datetime': 'yyyy-mm-dd hh:mm:ss'
+};
+
+// True for export types that write numeric cells
+function isNumericExportType(exportType) {
+    return exportType === 'number' || Object.prototype.hasOwnProperty.call(NUMBER_FORMATS, exportType);
+}
+
+// True for export types that write Excel date cells
+function isDateExportType(exportType) {
+    return Object.prototype.hasOwnProperty.call(DATE_FORMATS, exportType);
+}
+
+// Number or date format for one exported column, or null to leave it as General
+function getColumnFormat(exportType, dataTable, colIndex, aggregation) {
+    if (isDateExportType(exportType)) {
+        if (exportType !== 'date-full') return DATE_FORMATS[exportType];
+        const column = dataTable.columns[colIndex];
+        const hasTime = /datetime/i.test(column.dataType || '') || dataTable.data.slice(0, 50).some(row => {
+            const parts = row[colIndex] && parseDateParts(row[colIndex].value, row[colIndex].formattedValue);
+            return parts && (parts.hours || parts.minutes || parts.seconds);
+        });
+        return hasTime ? DATE_FORMATS.datetime : DATE_FORMATS['date-full'];
+    }
+    if (!isNumericExportType(exportType)) return null;
+    // Counts are whole numbers whatever the source field looks like
+    if (aggregation && (aggregation.fn === 'count' || aggregation.fn === 'countd')) return '#,##0';
+    if (NUMBER_FORMATS[exportType]) return NUMBER_FORMATS[exportType];
+
+    const samples = [];
+    for (let i = 0; i < dataTable.data.length && samples.length < 50; i++) {
+        const cell = dataTable.data[i][colIndex];
+        if (cell && cell.formattedValue) samples.push(cell.formattedValue);
+    }
+    return inferNumberFormat(samples);
+}
+
+// Derive one Excel number format for a column from Tableau's formatted values,
+// e.g. ["$1,234.50", "($20.00)"] -> "$"#,##0.00;("$"#,##0.00)
+function inferNumberFormat(formattedValues) {
+    const parsed = formattedValues.map(parseFormattedNumber).filter(Boolean);
+    if (parsed.length === 0) return null;
+
+    // A column mixing units (1.2K next to 3.4M) cannot share a scaled format - show whole numbers instead
+    const mixedUnits = parsed.some(p => p.unit !== parsed[0].unit);
+    return buildNumberFormat({
+        decimals: mixedUnits ? 0 : Math.max(...parsed.map(p => p.decimals)),
+        thousands: mixedUnits || parsed.some(p => p.thousands),
+        unit: mixedUnits ? '' : parsed[0].unit,
+        percent: parsed.some(p => p.percent),
+        currency: (parsed.find(p => p.currency) || {}).currency || '',
+        currencyAfter: parsed.some(p => p.currency && p.currencyAfter),
+        accounting: parsed.some(p => p.accounting)
+    });
+}
+
+// Scale factors for Tableau's abbreviated number units
+const NUMBER_UNITS = { K: 1e3, M: 1e6, B: 1e9 };
+
+// Parse a number as Tableau formats it: currency symbols, percent, accounting negatives "(1,234)",
+// thousands separators and K/M/B units ("$1.2M", "12.5%", "-€3,400.50").
+// Returns the real value plus the parts needed to rebuild an equivalent Excel format, or null.
+function parseFormattedNumber(text) {
+    if (typeof text === 'number') {
+        return isNaN(text) ? null : { value: text, decimals: 0, thousands: false, unit: '', percent: false, currency: '', currencyAfter: false, accounting: false };
+    }
+    const str = String(text ?? '').trim();
+    const m = str.match(/^(\()?\s*([+-])?\s*([$€£¥])?\s*([+-])?\s*(\d{1,3}(?:,\d{3})+|\d*)(?:\.(\d+))?\s*([KMB])?\s*([$€£¥])?\s*(%)?\s*(\))?$/i);
+    if (!m || (!m[5] && !m[6]) || Boolean(m[1]) !== Boolean(m[10])) return null;
+
+    const unit = (m[7] || '').toUpperCase();
+    let value = parseFloat(`${(m[5] || '0').replace(/,/g, '')}.${m[6] || '0'}`) * (NUMBER_UNITS[unit] || 1);
+    if (m[9]) value /= 100;
+    if (m[1] || m[2] === '-' || m[4] === '-') value = -value;
+
+    return {
+        value,
+        decimals: m[6] ? m[6].length : 0,
+        thousands: (m[5] || '').includes(','),
+        unit,
+        percent: Boolean(m[9]),
+        currency: m[3] || m[8] || '',
+        currencyAfter: !m[3] && Boolean(m[8]),
+        accounting: Boolean(m[1])
+    };
+}
+
+// Build an Excel number format code from parsed parts (see parseFormattedNumber)
+function buildNumberFormat({ decimals, thousands, unit, percent, currency, currencyAfter, accounting }) {
+    let code = (thousands ? '#,##0' : '0') + (decimals > 0 ? '.' + '0'.repeat(Math.min(decimals, 10)) : '');
+    // Trailing commas scale by a thousand each, so 1200000 shows as 1.2M
+    if (unit) code += ','.repeat(Math.log10(NUMBER_UNITS[unit]) / 3) + `"${unit}"`;
+    if (percent) code += '%';
+    if (currency) code = currencyAfter ? `${code}"${currency}"` : `"${currency}"${code}`;
+    if (accounting) code = `${code};(${code})`;
+    return code;
+}
+
+// Numeric value of a Tableau cell, recovered from the formatted text when the raw value is not a number
+function toNumericValue(value, formattedValue) {
+    if (typeof value === 'number') return value;
+    const parsed = parseFormattedNumber(value) || parseFormattedNumber(formattedValue);
+    return parsed ? parsed.value : NaN;
+}
+
+// Month names (full or abbreviated, lowercase) to month index
+const MONTH_INDEX = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Read the calendar parts of a Tableau date value: { year, month (0-11), day, hours, minutes, seconds }.
+// Tableau dates are wall-clock values with no time zone, so the parts are read from the text as-is
+// rather than through Date.parse, which would shift them by the browser's offset.
+// Falls back to the formatted value (e.g. "Nov-2024", "November 2024", "11/5/2024") when needed.
+function parseDateParts(value, formattedValue) {
+    // A Date holds the wall-clock value as UTC, the same way the text forms below are read
+    if (value instanceof Date && !isNaN(value.getTime())) {
+        return {
+            year: value.getUTCFullYear(), month: value.getUTCMonth(), day: value.getUTCDate(),
+            hours: value.getUTCHours(), minutes: value.getUTCMinutes(), seconds: value.getUTCSeconds()
+        };
+    }
+
+    for (const candidate of [value, formattedValue]) {
+        const str = String(candidate ?? '').trim();
+        if (!str) continue;
+
+        // 2024-11-05, 2024-11-05 13:45:00, 2024-11-05T13:45:00.000Z (offset ignored - see above)
+        let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(?:Z|[+-]\d{2}:?\d{2})?$/i);
+        if (m) {
+            return { year: +m[1], month: +m[2] - 1, day: +m[3], hours: +(m[4] || 0), minutes: +(m[5] || 0), seconds: +(m[6] || 0) };
+        }
+
+        // 11/5/2024 or 11/5/2024 1:45:00 PM (Tableau's default US formatting)
+        m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?)?$/i);
+        if (m) {
+            let hours = +(m[4] || 0);
+            if (m[7] && /pm/i.test(m[7]) && hours < 12) hours += 12;
+            if (m[7] && /am/i.test(m[7]) && hours === 12) hours = 0;
+            return { year: +m[3], month: +m[1] - 1, day: +m[2], hours, minutes: +(m[5] || 0), seconds: +(m[6] || 0) };
+        }
+
+        // Nov-2024, November 2024
+        m = str.match(/^([A-Za-z]+)[\s-](\d{4})$/);
+        if (m && MONTH_INDEX.hasOwnProperty(m[1].substring(0, 3).toLowerCase())) {
+            return { year: +m[2], month: MONTH_INDEX[m[1].substring(0, 3).toLowerCase()], day: 1, hours: 0, minutes: 0, seconds: 0 };
+        }
+    }
+    return null;
+}
+
+// Convert calendar parts to an Excel date serial (days since 1899-12-30, time as the fraction).
+// Built from UTC arithmetic so no time zone offset can creep in.
+function toExcelDateSerial(parts) {
+    const days = Date.UTC(parts.year, parts.month, parts.day) / 86400000 + 25569;
+    return days + (parts.hours * 3600 + parts.minutes * 60 + parts.seconds) / 86400;
+}
+
+// Format of one cell: column-header rows of a crosstab use their dimension's format, data rows their column's
+function getCellFormat(sheet, r, c) {
+    const headerRows = sheet.headerRows || 1;
+    if (r < headerRows - 1) {
+        return c >= (sheet.frozenColumns || 0) ? (sheet.headerRowFormats || [])[r] || null : null;
+    }
+    if (r < headerRows) return null;
+    return (sheet.columnFormats || [])[c] || null;
+}
+
+// Map flat column formats onto crosstab columns: row fields first, then the value fields repeated per column group
+function getCrosstabColumnFormats(columnFormats, layout, width) {
+    const formats = layout.rowIndices.map(i => columnFormats[i] || null);
+    while (formats.length < width) {
+        layout.valueIndices.forEach(i => formats.push(columnFormats[i] || null));
+    }
+    return formats.slice(0, width);
+}
+
+// Split sheets with more rows than fit in one Excel worksheet into numbered continuation sheets
+// ("Sales (1)", "Sales (2)", ...), each repeating the header rows.
+// Returns { sheets, splits: [{ name, rows, parts }] } where rows counts data rows (without headers).
+function splitOversizedSheets(sheets, maxRows) {
+    const result = [];
+    const splits = [];
+
+    sheets.forEach(sheet => {
+        // The context block above the table takes rows from every part too
+        const contextRows = (sheet.contextRows || []).length;
+        if (sheet.data.length + contextRows <= maxRows) {
+            result.push(sheet);
+            return;
+        }
+
+        const headerRows = sheet.headerRows || 1;
+        const header = sheet.data.slice(0, headerRows);
+        const rowsPerPart = maxRows - headerRows - contextRows;
+        const dataRows = sheet.data.length - headerRows;
+        const parts = Math.ceil(dataRows / rowsPerPart);
+
+        for (let part = 0; part < parts; part++) {
+            const start = headerRows + part * rowsPerPart;
+            const end = Math.min(start + rowsPerPart, sheet.data.length);
+            const suffix = ` (${part + 1})`;
+            result.push({
+                ...sheet,
+                tabName: sanitizeSheetName(sheet.tabName || sheet.name).substring(0, 31 - suffix.length).trimEnd() + suffix,
+                data: header.concat(sheet.data.slice(start, end)),
+                // Total rows keep their position relative to the part they landed in
+                totalRows: (sheet.totalRows || [])
+                    .filter(total => total.row >= start && total.row < end)
+                    .map(total => ({ ...total, row: total.row - start + headerRows }))
+            });
+        }
+        splits.push({ name: sheet.name, rows: dataRows, parts });
+    });
+
+    return { sheets: result, splits };
+}
+
+// Rows of the context block written above a data sheet's table: dashboard, export time,
+// the filters of each source worksheet and the parameter values, then a blank spacer row
+function buildContextRows(context, filterContext) {
+    const rows = [
+        ['Dashboard', context.dashboardName || ''],
+        ['Exported', context.exportedAt || '']
+    ];
+    const sources = filterContext || [];
+    sources.forEach(source => {
+        const label = sources.length > 1 ? `Filters (${source.worksheet})` : 'Filters';
+        rows.push([label, source.text || 'None']);
+    });
+    if (context.parameters) rows.push(['Parameters', context.parameters]);
+    rows.push([]);
+    return rows;
+}
+
+// The filter summary sheet, plus the Filter Values sheet when some filters list too many values to inline
+function getFilterSheets(filterSummary) {
+    if (!filterSummary || !filterSummary.summary || filterSummary.summary.length === 0) return [];
+    const sheets = [{ name: FILTER_SHEET_NAME, data: filterSummary.summary }];
+    if (filterSummary.values && filterSummary.values.length > 0) {
+        sheets.push({ name: FILTER_VALUES_SHEET_NAME, data: filterSummary.values });
+    }
+    return sheets;
+}
+
+// Build the .xlsx workbook and return it as an ArrayBuffer
+async function buildWorkbookFile(exportedSheets, filterSummary, baseName) {
+    const workbook = XLSX.utils.book_new();
+    // XML patches per workbook sheet (frozen pane, bold total rows), in the order the sheets are appended
+    const patches = [];
+
+    const filterSheets = getFilterSheets(filterSummary);
+    filterSheets.forEach(filterSheet => {
+        const ws = XLSX.utils.aoa_to_sheet(filterSheet.data);
+        ws['!cols'] = calculateColumnWidths(filterSheet.data);
+        XLSX.utils.book_append_sheet(workbook, ws, filterSheet.name);
+        patches.push(null);
+        console.log(`Added ${filterSheet.name} sheet`);
+    });
+
+    const reserved = filterSheets.map(filterSheet => filterSheet.name);
+    const tabNames = makeUniqueSheetNames(exportedSheets.map(sheet => sheet.tabName || sheet.name), reserved);
+
+    exportedSheets.forEach((sheet, i) => {
+        // The table starts below the context block, if there is one
+        const contextRows = sheet.contextRows || [];
+        const offset = contextRows.length;
+        const ws = XLSX.utils.aoa_to_sheet(contextRows.concat(sheet.data));
+        ws['!cols'] = calculateColumnWidths(sheet.data);
+        applySheetFormatting(ws, sheet, offset);
+        XLSX.utils.book_append_sheet(workbook, ws, tabNames[i]);
+        patches.push({
+            pane: { rows: offset + (sheet.headerRows || 1), columns: sheet.frozenColumns || 0 },
+            boldRows: (sheet.totalRows || []).map(total => total.row + offset)
+        });
+    });
+
+    const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return {
+        buffer: await patchWorkbookXml(buffer, patches),
+        filename: `${baseName}.xlsx`,
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    };
+}
+
+// Set number/date formats on numeric cells and an autofilter over the data range of an exported sheet.
+// offset is the number of worksheet rows above the table (the context block).
+function applySheetFormatting(ws, sheet, offset = 0) {
+    const headerRows = sheet.headerRows || 1;
+    // A loop, not Math.max(...rows): spreading a million-row sheet into arguments overflows the stack
+    const width = sheet.data.reduce((max, row) => Math.max(max, row.length), 0);
+    // Widest formatted text seen per column, so dates and separators are not shown as ####
+    const widths = ws['!cols'] || [];
+
+    for (let r = 0; r < sheet.data.length; r++) {
+        for (let c = 0; c < width; c++) {
+            const format = getCellFormat(sheet, r, c);
+            if (!format) continue;
+            const cell = ws[XLSX.utils.encode_cell({ r: r + offset, c })];
+            // Only numeric cells - text that could not be converted stays as it is
+            if (!cell || cell.t !== 'n') continue;
+            cell.z = format;
+            if (r < 200 && widths[c]) {
+                const length = XLSX.SSF.format(format, cell.v).length + 1;
+                widths[c].wch = Math.min(Math.max(widths[c].wch, length), 50);
+            }
+        }
+    }
+
+    // Total rows get outline levels so the detail rows can be collapsed under them
+    const totalRows = sheet.totalRows || [];
+    const subtotalLevels = totalRows.reduce((max, total) => Math.max(max, total.level), 0);
+    if (subtotalLevels > 0) {
+        const rowProps = [];
+        for (let r = headerRows; r < sheet.data.length; r++) rowProps[r + offset] = { level: subtotalLevels };
+        totalRows.forEach(total => { rowProps[total.row + offset] = { level: Math.max(total.level - 1, 0) }; });
+        ws['!rows'] = rowProps;
+    }
+
+    // Filter buttons sit on the last header row (the value names in a crosstab);
+    // a grand total row stays below the filtered range so sorting does not move it
+    const hasGrandTotal = totalRows.some(total => total.level === 0 && total.row === sheet.data.length - 1);
+    const lastRow = sheet.data.length - 1 - (hasGrandTotal ? 1 : 0);
+    if (width > 0) {
+        ws['!autofilter'] = {
+            ref: XLSX.utils.encode_range({
+                s: { r: offset + headerRows - 1, c: 0 },
+                e: { r: offset + Math.max(lastRow, headerRows - 1), c: width - 1 }
+            })
+        };
+    }
+}
+
+// SheetJS Community Edition writes neither frozen panes nor cell styles, so both are patched into
+// the workbook XML after writing. patches: one { pane: { rows, columns }, boldRows } (or null) per
+// workbook sheet, in sheet order; boldRows are 0-based row indices.
+async function patchWorkbookXml(buffer, patches) {
+    const needsPatch = (patch) => patch && ((patch.pane && (patch.pane.rows > 0 || patch.pane.columns > 0)) ||
+        (patch.boldRows && patch.boldRows.length > 0));
+    if (!patches.some(needsPatch)) return buffer;
+    if (typeof JSZip === 'undefined') {
+        console.log('ZIP library not loaded - skipping frozen header rows and total row styling');
+        return buffer;
+    }
+
+    const zip = await JSZip.loadAsync(buffer);
+    let styles = null;   // loaded on first use by addBoldCellStyles
+
+    for (let i = 0; i < patches.length; i++) {
+        const patch = patches[i];
+        if (!needsPatch(patch)) continue;
+
+        const path = `xl/worksheets/sheet${i + 1}.xml`;
+        const file = zip.file(path);
+        if (!file) continue;
+
+        let xml = await file.async('string');
+        const pane = patch.pane;
+        if (pane && (pane.rows > 0 || pane.columns > 0)) {
+            xml = xml.replace(/<sheetView\b([^>]*?)\/>/, (match, attrs) => `<sheetView${attrs}>${buildPaneXml(pane)}</sheetView>`);
+        }
+        if (patch.boldRows && patch.boldRows.length > 0) {
+            if (!styles) styles = await loadCellStyles(zip);
+            if (styles) xml = applyBoldRows(xml, patch.boldRows, styles);
+        }
+        zip.file(path, xml);
+    }
+
+    if (styles && styles.added.length > 0) {
+        zip.file('xl/styles.xml', saveCellStyles(styles));
+    }
+
+    return zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+}
+
+// Read the cell formats (cellXfs) and fonts of styles.xml, adding a bold copy of the first font
+async function loadCellStyles(zip) {
+    const file = zip.file('xl/styles.xml');
+    const xml = file ? await file.async('string') : '';
+    const fonts = xml.match(/<fonts count="(\d+)">([\s\S]*?)<\/fonts>/);
+    const cellXfs = xml.match(/<cellXfs count="(\d+)">([\s\S]*?)<\/cellXfs>/);
+    if (!fonts || !cellXfs) {
+        console.log('Unexpected styles.xml layout - total rows are not bolded');
+        return null;
+    }
+    const firstFont = (fonts[2].match(/<font>[\s\S]*?<\/font>/) || ['<font></font>'])[0];
+    return {
+        xml,
+        fonts,
+        cellXfs,
+        boldFont: firstFont.replace('<font>', '<font><b/>'),
+        boldFontId: Number(fonts[1]),
+        xfs: cellXfs[2].match(/<xf\b[^>]*?(?:\/>|>[\s\S]*?<\/xf>)/g) || [],
+        added: [],
+        boldOf: new Map()   // cell format index -> index of its bold copy
+    };
+}
+
+// Index of a bold copy of the given cell format, creating it on first use
+function getBoldStyleIndex(styles, styleIndex) {
+    if (!styles.boldOf.has(styleIndex)) {
+        const source = styles.xfs[styleIndex] || styles.xfs[0] || '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>';
+        const bold = source
+            .replace(/\sfontId="\d+"/, '')
+            .replace(/\sapplyFont="\d+"/, '')
+            .replace(/^<xf\b/, `<xf fontId="${styles.boldFontId}" applyFont="1"`);
+        styles.boldOf.set(styleIndex, styles.xfs.length + styles.added.length);
+        styles.added.push(bold);
+    }
+    return styles.boldOf.get(styleIndex);
+}
+
+// Point every cell in the given rows of a sheet's XML at a bold cell format
+function applyBoldRows(xml, rowIndices, styles) {
+    const rowNumbers = new Set(rowIndices.map(r => r + 1));
+    return xml.replace(/<row r="(\d+)"[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g, (rowXml, rowNumber) => {
+        if (!rowNumbers.has(Number(rowNumber))) return rowXml;
+        return rowXml.replace(/<c r="([A-Z]+\d+)"(?: s="(\d+)")?/g, (match, ref, styleIndex) =>
+            `<c r="${ref}" s="${getBoldStyleIndex(styles, Number(styleIndex || 0))}"`);
+    });
+}
+
+// Write the added bold font and cell formats back into styles.xml
+function saveCellStyles(styles) {
+    const { xml, fonts, cellXfs } = styles;
+    const fontCount = Number(fonts[1]) + 1;
+    const xfCount = styles.xfs.length + styles.added.length;
+    return xml
+        .replace(fonts[0], `<fonts count="${fontCount}">${fonts[2]}${styles.boldFont}</fonts>`)
+        .replace(cellXfs[0], `<cellXfs count="${xfCount}">${styles.xfs.join('')}${styles.added.join('')}</cellXfs>`);
+}
+
+// SpreadsheetML <pane>/<selection> elements freezing the given number of rows and columns
+function buildPaneXml({ rows, columns }) {
+    const topLeftCell = XLSX.utils.encode_cell({ r: rows, c: columns });
+    const activePane = rows > 0 && columns > 0 ? 'bottomRight' : (rows > 0 ? 'bottomLeft' : 'topRight');
+    const split = (columns > 0 ? ` xSplit="${columns}"` : '') + (rows > 0 ? ` ySplit="${rows}"` : '');
+    const selections = rows > 0 && columns > 0
+        ? '<selection pane="topRight"/><selection pane="bottomLeft"/>'
+        : '';
+    return `<pane${split} topLeftCell="${topLeftCell}" activePane="${activePane}" state="frozen"/>` +
+        `${selections}<selection pane="${activePane}" activeCell="${topLeftCell}" sqref="${topLeftCell}"/>`;
+}
+
+// Write exported sheets as CSV/TSV - a single file, or one file per sheet bundled in a ZIP
+async function buildDelimitedFiles(sheets, baseName, options) {
+    const mimeType = options.extension === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+
+    if (sheets.length === 1) {
+        const text = buildDelimitedText(formatDateCellsAsText(sheets[0]), options);
+        return {
+            buffer: new TextEncoder().encode(text).buffer,
+            filename: `${baseName}.${options.extension}`,
+            mimeType: `${mimeType};charset=utf-8`
+        };
+    }
+
+    if (typeof JSZip === 'undefined') {
+        throw new Error('ZIP library not loaded - export one worksheet at a time or use Excel format');
+    }
+
+    const zip = new JSZip();
+    const usedNames = new Set();
+    sheets.forEach(sheet => {
+        const fileName = makeUniqueFileName(sanitizeFileName(sheet.tabName || sheet.name), usedNames);
+        zip.file(`${fileName}.${options.extension}`, buildDelimitedText(formatDateCellsAsText(sheet), options));
+    });
+
+    return {
+        buffer: await zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' }),
+        filename: `${baseName}.zip`,
+        mimeType: 'application/zip'
+    };
+}
+
+// Delimited files have no cell formats, so write date serials as text in their column's date format
+function formatDateCellsAsText(sheet) {
+    const hasDates = [...(sheet.columnFormats || []), ...(sheet.headerRowFormats || [])]
+        .some(format => format && XLSX.SSF.is_date(format));
+    if (!hasDates) return sheet.data;
+
+    return sheet.data.map((row, r) => row.map((value, c) => {
+        const format = typeof value === 'number' ? getCellFormat(sheet, r, c) : null;
+        return format && XLSX.SSF.is_date(format) ? XLSX.SSF.format(format, value) : value;
+    }));
+}
+
+// Filter columns and optionally aggregate data.
+// When aggregating, a sources object is filled with { rows: Map(output row -> source row indices), measureColumns }
+// so totals can later be computed from the source rows.
+function filterColumns(
+    dataTable,
+    selectedIndices,
+    selectedNames,
+    aggregateData,
+    exportTypes,
+    includeNullsAcrossDimensions = false,
+    aggregations = [],
+    sources = null
+) {
+    const data = [];
+    
+    // Add headers (selected columns only)
+    data.push(selectedNames);
+
+    // Identify all dimension/measure columns in the worksheet (not just selected)
+    const dimensionIndicesAll = [];
+    const measureIndicesAll = [];
+    dataTable.columns.forEach((col, idx) => {
+        const dtype = (col.dataType || '').toLowerCase();
+        if (dtype.includes('int') || dtype.includes('float') || dtype.includes('real') || dtype === 'number') {
+            measureIndicesAll.push(idx);
+        } else {
+            dimensionIndicesAll.push(idx);
+        }
+    });
+
+    const isNullish = (s) => {
+        const v = String(s || '').trim();
+        return v === '' || /^null$/i.test(v) || /^\(null\)$/i.test(v) || /^\(blank\)$/i.test(v);
+    };
+
+    const isTotalLabel = (s) => {
+        const v = String(s || '').trim();
+        return /^total$/i.test(v) || /^grand total$/i.test(v);
+    };
+
+    const shouldSkipRow = (rowData) => {
+        if (!rowData) return false;
+
+        // Quick check: if user allows nulls, only drop explicit total labels
+        const dimValsAll = dimensionIndicesAll.map(di => {
+            const cell = rowData[di];
+            return (cell && (cell.formattedValue ?? cell.value)) || '';
+        });
+
+        const hasMeasureValue = measureIndicesAll.length === 0 ? true : measureIndicesAll.some(mi => {
+            const cell = rowData[mi];
+            if (!cell) return false;
+            const v = cell.value;
+            const fv = cell.formattedValue;
+            return (v !== null && v !== undefined && v !== '') || (fv !== null && fv !== undefined && fv !== '');
+        });
+
+        if (!hasMeasureValue) return false;
+
+        // Always drop rows explicitly labeled totals
+        if (dimValsAll.some(isTotalLabel)) return true;
+
+        if (includeNullsAcrossDimensions) {
+            return false; // user chose to keep null/blank dimension rows
+        }
+
+        // Drop any row with blank/null in any dimension to avoid subtotal/null buckets
+        if (dimValsAll.some(isNullish)) return true;
+
+        // Drop mixed subtotal rows (some dims null, some not)
+        const hasNullDim = dimValsAll.some(isNullish);
+        const hasNonNullDim = dimValsAll.some(v => !isNullish(v));
+        if (hasNullDim && hasNonNullDim) return true;
+
+        return false;
+    };
+    
+    // Helper function to format value based on export type
+    const formatValue = (value, formattedValue, exportType) => {
+        if (!exportType || exportType === 'text') {
+            return formattedValue;
+        }
+        
+        if (isNumericExportType(exportType)) {
+            const numValue = toNumericValue(value, formattedValue);
+            return isNaN(numValue) ? formattedValue : numValue;
+        }
+        
+        if (isDateExportType(exportType)) {
+            // Real Excel date serial; Mon-YYYY columns are pinned to the first of the month
+            const parts = parseDateParts(value, formattedValue);
+            if (!parts) return formattedValue;
+            if (exportType === 'date') {
+                Object.assign(parts, { day: 1, hours: 0, minutes: 0, seconds: 0 });
+            }
+            return toExcelDateSerial(parts);
+        }
+        
+        return formattedValue;
+    };
+    
+    if (aggregateData) {
+        // Aggregate data: group by dimensions and roll up measures with each column's aggregation
+        // First, identify which columns are dimensions vs measures
+        const columnTypes = selectedIndices.map(colIndex => {
+            const dataType = dataTable.columns[colIndex].dataType.toLowerCase();
+            const isDimension = !(dataType.includes('int') || dataType.includes('float') || dataType.includes('real'));
+            return { index: colIndex, isDimension };
+        });
+        
+        const dimensionIndices = columnTypes.filter(c => c.isDimension).map(c => c.index);
+        const measureIndices = columnTypes.filter(c => !c.isDimension).map(c => c.index);
+        
+        // Aggregation per measure ({ fn, weightIndex }), defaulting to sum
+        const measureAggregations = measureIndices.map(measureIndex => {
+            const agg = aggregations[selectedIndices.indexOf(measureIndex)];
+            return { fn: (agg && agg.fn) || 'sum', weightIndex: agg && agg.weightIndex >= 0 ? agg.weightIndex : -1 };
+        });
+        
+        console.log('Aggregating - Dimensions:', dimensionIndices.length, 'Measures:', measureIndices.length,
+            measureAggregations.map(a => a.fn).join(', '));
+        
+        if (dimensionIndices.length > 0 && measureIndices.length > 0) {
+            // Group by selected dimensions and aggregate measures
+            const aggregated = new Map();
+            if (sources) {
+                sources.rows = new Map();
+                sources.measureColumns = measureIndices;
+            }
+            
+            for (let i = 0; i < dataTable.data.length; i++) {
+                // Skip subtotal/blank/null rows unless allowed
+                if (shouldSkipRow(dataTable.data[i])) continue;
+
+                // Build dimension key using selected dimensions only
+                const dimValues = [];
+                for (const dimIndex of dimensionIndices) {
+                    dimValues.push(dataTable.data[i][dimIndex].formattedValue);
+                }
+                const key = dimValues.join('|||');
+                
+                if (!aggregated.has(key)) {
+                    aggregated.set(key, {
+                        dimensions: dimValues,
+                        // Raw values of the group's first row (dates need the unformatted value)
+                        rawDimensions: dimensionIndices.map(dimIndex => dataTable.data[i][dimIndex].value),
+                        measures: measureAggregations.map(agg => createAggregator(agg.fn)),
+                        sourceRows: [],
+                        count: 0
+                    });
+                }
+                
+                const group = aggregated.get(key);
+                measureIndices.forEach((measureIndex, idx) => {
+                    const weightIndex = measureAggregations[idx].weightIndex;
+                    const weightCell = weightIndex >= 0 ? dataTable.data[i][weightIndex] : null;
+                    const weight = weightCell ? toNumericValue(weightCell.value, weightCell.formattedValue) : undefined;
+                    group.measures[idx].add(toMeasureInput(dataTable.data[i][measureIndex]), weight);
+                });
+                group.sourceRows.push(i);
+                group.count++;
+            }
+            
+            // Build output rows in the correct column order
+            aggregated.forEach(group => {
+                const row = new Array(selectedIndices.length);
+                
+                // Place dimensions in their positions
+                dimensionIndices.forEach((dimIndex, idx) => {
+                    const posInSelected = selectedIndices.indexOf(dimIndex);
+                    const exportType = exportTypes ? exportTypes[posInSelected] : 'text';
+                    row[posInSelected] = formatValue(group.rawDimensions[idx], group.dimensions[idx], exportType);
+                });
+                
+                // Place aggregated measures in their positions
+                measureIndices.forEach((measureIndex, idx) => {
+                    const posInSelected = selectedIndices.indexOf(measureIndex);
+                    const exportType = exportTypes ? exportTypes[posInSelected] : 'number';
+                    const measureValue = group.measures[idx].result();
+                    row[posInSelected] = formatValue(measureValue, measureValue, exportType);
+                });
+                
+                if (sources) sources.rows.set(row, group.sourceRows);
+                data.push(row);
+            });
+            
+            console.log(`Aggregated from ${dataTable.data.length} rows to ${data.length - 1} grouped rows`);
+        } else {
+            // No measures to aggregate or no dimensions to group by - just get distinct rows
+            const distinctRows = new Set();
+            
+            for (let i = 0; i < dataTable.data.length; i++) {
+                if (shouldSkipRow(dataTable.data[i])) continue;
+
+                const row = [];
+                selectedIndices.forEach((colIndex, idx) => {
+                    const cellData = dataTable.data[i][colIndex];
+                    const exportType = exportTypes ? exportTypes[idx] : 'text';
+                    row.push(formatValue(cellData.value, cellData.formattedValue, exportType));
+                });
+                const rowKey = row.join('|||');
+                if (!distinctRows.has(rowKey)) {
+                    distinctRows.add(rowKey);
+                    data.push(row);
+                }
+            }
+            
+            console.log(`No aggregation needed - ${data.length - 1} distinct rows`);
+        }
+    } else {
+        // Export all rows with selected columns (no aggregation)
+        for (let i = 0; i < dataTable.data.length; i++) {
+            if (shouldSkipRow(dataTable.data[i])) continue;
+
+            const row = [];
+            selectedIndices.forEach((colIndex, idx) => {
+                const cellData = dataTable.data[i][colIndex];
+                const exportType = exportTypes ? exportTypes[idx] : 'text';
+                row.push(formatValue(cellData.value, cellData.formattedValue, exportType));
+            });
+            data.push(row);
+        }
+        
+        console.log(`Exported all ${data.length - 1} rows without aggregation`);
+    }
+    
+    return data;
+}
+
+// Value a source cell contributes to a measure's aggregate: the number, read from the formatted text
+// when the raw value is not numeric ("$1.2M"), or else the raw value itself
+function toMeasureInput(cell) {
+    const numeric = toNumericValue(cell.value, cell.formattedValue);
+    return isNaN(numeric) ? cell.value : numeric;
+}
+
+// Create an accumulator for one measure within a group.
+// fn: sum | avg | min | max | count | countd | first | last | wavg (weighted by the value passed to add)
+// | none (the value of a single row; blank when several rows are combined)
+function createAggregator(fn) {
+    let sum = 0;
+    let count = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    let first;
+    let last;
+    let weightedSum = 0;
+    let weightTotal = 0;
+    let firstRaw;                  // first non-numeric value, returned when nothing numeric was seen
+    const distinct = new Set();
+
+    const toNumber = (value) => {
+        if (value === null || value === undefined || value === '') return NaN;
+        return toNumericValue(value);
+    };
+
+    return {
+        add(value, weight) {
+            if (value === null || value === undefined || value === '') return;
+            if (fn === 'count') { count++; return; }
+            if (fn === 'countd') { distinct.add(String(value)); return; }
+
+            const num = toNumber(value);
+            if (isNaN(num)) {
+                if (firstRaw === undefined) firstRaw = value;
+                return;
+            }
+
+            sum += num;
+            count++;
+            if (num < min) min = num;
+            if (num > max) max = num;
+            if (first === undefined) first = num;
+            last = num;
+
+            const w = toNumber(weight);
+            if (!isNaN(w)) {
+                weightedSum += num * w;
+                weightTotal += w;
+            }
+        },
+        result() {
+            if (fn === 'count') return count;
+            if (fn === 'countd') return distinct.size;
+            if (count === 0) return fn === 'sum' ? (firstRaw ?? 0) : (firstRaw ?? null);
+
+            switch (fn) {
+                case 'avg': return sum / count;
+                case 'min': return min;
+                case 'max': return max;
+                case 'first': return first;
+                case 'last': return last;
+                case 'none': return count === 1 ? first : null;
+                case 'wavg': return weightTotal !== 0 ? weightedSum / weightTotal : null;
+                default: return sum;
+            }
+        }
+    };
+}
+
+// Sort data rows (excluding header) by an ordered list of sort keys.
+// sortKeys: [{ index, direction: 'asc' | 'desc', exportType }], compared by type (numbers, dates, text)
+// options: { nulls: 'last' | 'first' (regardless of direction), natural: compare digits in text by value }
+function sortDataRows(data, sortKeys, options = {}) {
+    const keys = (sortKeys || []).filter(key => key && key.index >= 0);
+    if (!data || data.length <= 1 || keys.length === 0) return data;
+
+    const header = data[0];
+    const rows = data.slice(1);
+
+    const monthMap = {
+        Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5,
+        Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11
+    };
+
+    const parseDateValue = (value) => {
+        if (typeof value === 'number') return value; // Excel date serial
+        if (value instanceof Date) return value.getTime();
+        const str = String(value || '').trim();
+        if (!str) return NaN;
+
+        // Match "Nov-2024"
+        const shortMatch = str.match(/^([A-Za-z]{3})-(\d{4})$/);
+        if (shortMatch) {
+            const monKey = shortMatch[1];
+            const mIdx = monthMap.hasOwnProperty(monKey) ? monthMap[monKey] : undefined;
+            if (mIdx !== undefined) {
+                return new Date(Number(shortMatch[2]), mIdx, 1).getTime();
+            }
+        }
+
+        // Match "November 2024"
+        const longMatch = str.match(/^([A-Za-z]+)\s+(\d{4})$/);
+        if (longMatch) {
+            const longMonth = longMatch[1].substring(0, 3);
+            const mIdx = monthMap.hasOwnProperty(longMonth) ? monthMap[longMonth] : (monthMap.hasOwnProperty(longMatch[1]) ? monthMap[longMatch[1]] : undefined);
+            if (mIdx !== undefined) {
+                return new Date(Number(longMatch[2]), mIdx, 1).getTime();
+            }
+        }
+
+        const parsed = Date.parse(str);
+        return isNaN(parsed) ? NaN : parsed;
+    };
+
+    const isNullValue = (value) => {
+        if (value === null || value === undefined) return true;
+        const str = String(value).trim();
+        return str === '' || /^null$/i.test(str) || /^\(null\)$/i.test(str);
+    };
+
+    // Sort value for a cell, or null when it should be placed with the nulls
+    const normalize = (value, exportType) => {
+        if (isNullValue(value)) return null;
+        if (isNumericExportType(exportType)) {
+            const n = toNumericValue(value);
+            return isNaN(n) ? null : n;
+        }
+        if (isDateExportType(exportType)) {
+            const t = parseDateValue(value);
+            return isNaN(t) ? null : t;
+        }
+        // Text fallback
+        return options.natural ? String(value) : String(value).toLowerCase();
+    };
+
+    const collator = options.natural ? new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }) : null;
+    const compareValues = (a, b) => {
+        if (collator && typeof a === 'string' && typeof b === 'string') return collator.compare(a, b);
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    };
+    const nullOrder = options.nulls === 'first' ? -1 : 1;
+
+    // Normalize each row once, keeping the original position so ties stay in their current order
+    const decorated = rows.map((row, position) => ({
+        row,
+        position,
+        values: keys.map(key => normalize(row[key.index], key.exportType))
+    }));
+
+    decorated.sort((a, b) => {
+        for (let k = 0; k < keys.length; k++) {
+            const aVal = a.values[k];
+            const bVal = b.values[k];
+            if (aVal === null || bVal === null) {
+                if (aVal === null && bVal === null) continue;
+                return aVal === null ? nullOrder : -nullOrder;
+            }
+            const diff = compareValues(aVal, bVal);
+            if (diff !== 0) return keys[k].direction === 'desc' ? -diff : diff;
+        }
+        return a.position - b.position;
+    });
+
+    return [header, ...decorated.map(entry => entry.row)];
+}
+
+// Map crosstab role field names to positions in the exported (flat) columns.
+// exportedAggregations (parallel to exportedFieldNames) decides how duplicate cells are combined.
+function resolveCrosstabLayout(layout, exportedFieldNames, exportedAggregations = []) {
+    const toPositions = (names) => (names || [])
+        .map(name => exportedFieldNames.indexOf(name))
+        .filter(pos => pos >= 0);
+    const valueIndices = toPositions(layout.values);
+    return {
+        rowIndices: toPositions(layout.rows),
+        columnIndices: toPositions(layout.columns),
+        valueIndices,
+        valueAggregations: valueIndices.map(pos => {
+            const agg = exportedAggregations[pos];
+            if (!agg) return { fn: 'sum', weightIndex: -1 };
+            const weightIndex = agg.weightField ? exportedFieldNames.indexOf(agg.weightField) : -1;
+            // A weighted average can only be recomputed if its weight column is in the export
+            if (agg.fn === 'wavg' && weightIndex < 0) return { fn: 'avg', weightIndex: -1 };
+            return { fn: agg.fn, weightIndex };
+        })
+    };
+}
+
+// Build multi-level crosstab headers: one row per column dimension, then a row of value names
+function buildCrosstabHeader(header, layout, colTuples) {
+    const { rowIndices, columnIndices, valueIndices } = layout;
+    const result = [];
+
+    columnIndices.forEach((colIndex, level) => {
+        // Leading cells are blank except the last, which names the column dimension
+        const headerRow = rowIndices.map(() => '');
+        if (headerRow.length > 0) headerRow[headerRow.length - 1] = header[colIndex];
+
+        colTuples.forEach((tuple, t) => {
+            // Only show a header value where it changes, so parent levels read as spanning groups
+            const prev = colTuples[t - 1];
+            const samePrefix = prev && tuple.slice(0, level + 1).every((v, i) => v === prev[i]);
+            headerRow.push(samePrefix ? '' : tuple[level]);
+            for (let i = 1; i < valueIndices.length; i++) headerRow.push('');
+        });
+        result.push(headerRow);
+    });
+
+    const valueRow = rowIndices.map(i => header[i]);
+    colTuples.forEach(() => valueIndices.forEach(i => valueRow.push(header[i])));
+    result.push(valueRow);
+
+    return result;
+}
+
+// Pivot flat export rows (header first) into a crosstab using the chosen row/column/value positions.
+// Row and column tuples are hash-indexed in a single pass, so cost grows linearly with the input;
+// rows that land in the same cell are combined with the value's aggregation (sum by default).
+function pivotTableData(data, layout) {
+    try {
+        const header = data[0];
+        const rows = data.slice(1);
+        const { rowIndices, columnIndices, valueIndices } = layout;
+        const valueAggregations = layout.valueAggregations || valueIndices.map(() => ({ fn: 'sum', weightIndex: -1 }));
+        
+        if (rows.length === 0) {
+            return data;
+        }
+
+        const keyOf = (row, indices) => indices.map(i => row[i]).join('|||');
+        
+        const colPositions = new Map();   // column key -> position in colTuples
+        const colTuples = [];
+        const rowGroups = new Map();      // row key -> { values, cells: Map(column position -> accumulators) }
+        let duplicateCells = 0;
+
+        for (const row of rows) {
+            const colKey = keyOf(row, columnIndices);
+            let colPos = colPositions.get(colKey);
+            if (colPos === undefined) {
+                colPos = colTuples.length;
+                colPositions.set(colKey, colPos);
+                colTuples.push(columnIndices.map(ci => row[ci]));
+            }
+
+            const rowKey = keyOf(row, rowIndices);
+            let group = rowGroups.get(rowKey);
+            if (!group) {
+                group = { values: rowIndices.map(ri => row[ri]), cells: new Map() };
+                rowGroups.set(rowKey, group);
+            }
+
+            let cell = group.cells.get(colPos);
+            if (!cell) {
+                cell = valueAggregations.map(agg => createAggregator(agg.fn));
+                group.cells.set(colPos, cell);
+            } else {
+                duplicateCells++;
+            }
+
+            valueIndices.forEach((valueIndex, v) => {
+                const weightIndex = valueAggregations[v].weightIndex;
+                cell[v].add(row[valueIndex], weightIndex >= 0 ? row[weightIndex] : undefined);
+            });
+        }
+
+        // Group column tuples level by level in first-seen order so parent headers span their children
+        const levelRanks = columnIndices.map((_, level) => {
+            const ranks = new Map();
+            colTuples.forEach(tuple => {
+                const prefix = tuple.slice(0, level + 1).join('|||');
+                if (!ranks.has(prefix)) ranks.set(prefix, ranks.size);
+            });
+            return ranks;
+        });
+        const colOrder = colTuples.map((_, pos) => pos);
+        colOrder.sort((a, b) => {
+            for (let level = 0; level < columnIndices.length; level++) {
+                const diff = levelRanks[level].get(colTuples[a].slice(0, level + 1).join('|||')) -
+                    levelRanks[level].get(colTuples[b].slice(0, level + 1).join('|||'));
+                if (diff !== 0) return diff;
+            }
+            return a - b;
+        });
+        
+        // Build result array
+        const result = buildCrosstabHeader(header, layout, colOrder.map(pos => colTuples[pos]));
+        
+        // Build data rows
+        rowGroups.forEach(group => {
+            const dataRow = [...group.values];
+            
+            for (const colPos of colOrder) {
+                const cell = group.cells.get(colPos);
+                valueIndices.forEach((_, v) => {
+                    const value = cell ? cell[v].result() : null;
+                    dataRow.push(value ?? '');
+                });
+            }
+            
+            result.push(dataRow);
+        });
+        
+        if (duplicateCells > 0) {
+            console.log(`Crosstab aggregated ${duplicateCells} duplicate cell values`);
+        }
+        console.log(`Crosstab result: ${rowGroups.size} rows x ${colTuples.length} column groups from ${rows.length} input rows`);
+        return result;
+        
+    } catch (e) {
+        // Any error, just return the flat table
+        console.error('Error building crosstab:', e);
+        return data;
+    }
+}
+
+// Sanitize sheet name for Excel compatibility
+function sanitizeSheetName(name) {
+    // Excel sheet names can't exceed 31 characters, can't contain : \ / ? * [ ]
+    // and can't start or end with an apostrophe
+    let sanitized = String(name || '').replace(/[:\\\/\?\*\[\]]/g, '_').replace(/^'+|'+$/g, '').trim();
+    if (sanitized.length > 31) {
+        sanitized = sanitized.substring(0, 31).trimEnd();
+    }
+    // "History" is reserved by Excel
+    if (!sanitized || sanitized.toLowerCase() === 'history') {
+        sanitized = sanitized ? `${sanitized}_` : 'Sheet';
+    }
+    return sanitized;
+}
+
+// Sanitize a list of sheet names and make them unique (Excel compares names case-insensitively),
+// adding " (2)", " (3)"... and shortening the name so the suffix still fits in 31 characters.
+// reserved: names already used in the workbook, such as the filter summary sheet.
+function makeUniqueSheetNames(names, reserved = []) {
+    const used = new Set(reserved.map(name => name.toLowerCase()));
+    return names.map(name => {
+        const base = sanitizeSheetName(name);
+        let unique = base;
+        for (let suffix = 2; used.has(unique.toLowerCase()); suffix++) {
+            const tag = ` (${suffix})`;
+            unique = base.substring(0, 31 - tag.length).trimEnd() + tag;
+        }
+        used.add(unique.toLowerCase());
+        if (unique !== name) console.log(`Sheet "${name}" written as "${unique}"`);
+        return unique;
+    });
+}
+
+// Make a worksheet name safe to use as a file name inside a ZIP archive
+function sanitizeFileName(name) {
+    const sanitized = String(name || '').replace(/[\\\/:\*\?"<>\|\x00-\x1F]/g, '_').trim();
+    return sanitized || 'Sheet';
+}
+
+// Number a file name that is already in usedNames (lowercased, as ZIP tools on Windows and macOS
+// ignore case): "Name", "Name (2)", "Name (3)"... The returned name is added to usedNames.
+function makeUniqueFileName(name, usedNames) {
+    let unique = name;
+    for (let suffix = 2; usedNames.has(unique.toLowerCase()); suffix++) {
+        unique = `${name} (${suffix})`;
+    }
+    usedNames.add(unique.toLowerCase());
+    return unique;
+}
+
+// Calculate column widths for better formatting
+function calculateColumnWidths(data) {
+    if (!data || data.length === 0) return [];
+    
+    const colWidths = [];
+    const maxCols = data.reduce((max, row) => Math.max(max, row.length), 0);
+    
+    for (let col = 0; col < maxCols; col++) {
+        let maxWidth = 10; // Minimum width
+        
+        for (const row of data) {
+            if (row[col]) {
+                const cellLength = String(row[col]).length;
+                maxWidth = Math.max(maxWidth, Math.min(cellLength, 50)); // Cap at 50
+            }
+        }
+        
+        colWidths.push({ wch: maxWidth });
+    }
+    
+    return colWidths;
+}
+
+// Serialize an array of rows (header first) to delimited text
+function buildDelimitedText(data, options) {
+    const { delimiter, quoting } = options;
+
+    const formatCell = (value) => {
+        if (value === null || value === undefined) return '';
+        const isNumber = typeof value === 'number';
+        const text = value instanceof Date ? value.toISOString() : String(value);
+
+        const mustQuote = text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text) ||
+            text !== text.trim();
+        const shouldQuote = quoting === 'all' ||
+            (quoting === 'nonnumeric' && !isNumber) ||
+            mustQuote;
+
+        return shouldQuote ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // RFC 4180 line endings so Excel and most loaders agree on row boundaries
+    const lines = data.map(row => row.map(formatCell).join(delimiter));
+    return (options.includeBom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+}
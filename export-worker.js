@@ -0,0 +1,21 @@
+// Export worker: runs the transform-and-write pipeline off the extension's main thread
+// so large exports don't freeze the dashboard zone.
+importScripts(
+    'https://cdn.sheetjs.com/xlsx-0.20.0/package/dist/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'export-pipeline.js'
+);
+
+self.onmessage = async (event) => {
+    const job = event.data;
+    try {
+        const result = await runExportPipeline(job, (message, percent) => {
+            self.postMessage({ type: 'progress', message, percent });
+        });
+        // Transfer the file buffer instead of copying it back to the page
+        self.postMessage({ type: 'done', result }, [result.buffer]);
+    } catch (error) {
+        console.error('Export worker error:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,45 @@
+// Extension-wide configuration set by the dashboard author in the configure dialog.
+// Shared by the main panel (index.html) and the dialog (config.html); stored in the workbook settings.
+
+const EXTENSION_CONFIG_KEY = 'extensionConfig';
+
+const DEFAULT_EXTENSION_CONFIG = {
+    exportableWorksheets: null,   // null = every worksheet on the dashboard
+    defaults: {
+        format: 'xlsx',
+        includeDuplicateRows: false,
+        includeDashboardFilters: false,
+        includeNullsAcrossDimensions: false
+    },
+    filenamePattern: '',
+    branding: {
+        title: '',
+        subtitle: ''
+    },
+    lockedColumns: {}             // worksheet name -> field names viewers can't deselect, rename or retype
+};
+
+// Read the extension configuration from settings, filling in defaults for anything missing
+function readExtensionConfig() {
+    let saved = {};
+    try {
+        const raw = tableau.extensions.settings.get(EXTENSION_CONFIG_KEY);
+        saved = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+        console.log('Could not read extension configuration:', error.message);
+    }
+
+    return {
+        exportableWorksheets: Array.isArray(saved.exportableWorksheets) ? saved.exportableWorksheets : null,
+        defaults: { ...DEFAULT_EXTENSION_CONFIG.defaults, ...(saved.defaults || {}) },
+        filenamePattern: typeof saved.filenamePattern === 'string' ? saved.filenamePattern : '',
+        branding: { ...DEFAULT_EXTENSION_CONFIG.branding, ...(saved.branding || {}) },
+        lockedColumns: saved.lockedColumns && typeof saved.lockedColumns === 'object' ? saved.lockedColumns : {}
+    };
+}
+
+// Save the extension configuration to the workbook settings
+function writeExtensionConfig(config) {
+    tableau.extensions.settings.set(EXTENSION_CONFIG_KEY, JSON.stringify(config));
+    return tableau.extensions.settings.saveAsync();
+}